@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // AudioWorklet processors run in their own global scope
+    files: ['src/worklets/**/*.js'],
+    languageOptions: {
+      globals: globals.audioWorklet,
+    },
+  },
 ])
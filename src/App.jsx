@@ -1,31 +1,52 @@
 import { useState } from 'react';
 import Player from './components/AudioPlayer/Player';
 import Library from './components/Library/Library';
+import Playlists from './components/Playlists/Playlists';
+import QueuePanel from './components/Queue/QueuePanel';
+import { usePlayQueue } from './hooks/usePlayQueue';
+import { usePlaylists } from './hooks/usePlaylists';
+import { useTrackSettings } from './hooks/useTrackSettings';
+import { useAutomation } from './hooks/useAutomation';
+import { useLoopRegions } from './hooks/useLoopRegions';
+import { deleteWaveforms } from './hooks/useWaveform';
 import './App.css';
 
+const SIDEBAR_TABS = [
+  { id: 'library', label: 'Library' },
+  { id: 'playlists', label: 'Playlists' },
+  { id: 'queue', label: 'Queue' }
+];
+
 function App() {
-  const [currentTrack, setCurrentTrack] = useState(null);
-  const [currentPlaylist, setCurrentPlaylist] = useState([]);
+  const [libraryTracks, setLibraryTracks] = useState([]);
+  const [sidebarTab, setSidebarTab] = useState('library');
+  const playQueue = usePlayQueue();
+  const { currentTrack } = playQueue;
+  const {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    addTracks,
+    removeTrackAt,
+    moveTrack
+  } = usePlaylists();
 
-  const handleTrackSelect = (track, playlist) => {
-    setCurrentTrack(track);
-    setCurrentPlaylist(playlist);
-  };
+  // Per-track data kept for the player; it goes with the tracks removed from the library
+  const trackSettings = useTrackSettings();
+  const automation = useAutomation();
+  const loopRegions = useLoopRegions();
 
-  const handleNext = () => {
-    if (!currentTrack || currentPlaylist.length === 0) return;
-    const idx = currentPlaylist.findIndex(t => t.id === currentTrack.id);
-    if (idx !== -1 && idx < currentPlaylist.length - 1) {
-      setCurrentTrack(currentPlaylist[idx + 1]);
-    }
+  const forgetTracks = (trackIds) => {
+    trackSettings.forgetTracks(trackIds);
+    automation.forgetTracks(trackIds);
+    loopRegions.forgetTracks(trackIds);
+    deleteWaveforms(trackIds);
   };
 
-  const handlePrev = () => {
-    if (!currentTrack || currentPlaylist.length === 0) return;
-    const idx = currentPlaylist.findIndex(t => t.id === currentTrack.id);
-    if (idx > 0) {
-      setCurrentTrack(currentPlaylist[idx - 1]);
-    }
+  // The list a track was picked from (library view or playlist) is what plays on from it
+  const handleTrackSelect = (track, playlist) => {
+    playQueue.playTrack(track, playlist);
   };
 
   return (
@@ -36,17 +57,79 @@ function App() {
 
       <main className="workspace">
         <aside className="sidebar">
-          <Library
-            onTrackSelect={handleTrackSelect}
-            currentTrackId={currentTrack?.id}
-          />
+          <div className="sidebar-tabs">
+            {SIDEBAR_TABS.map(tab => (
+              <button
+                key={tab.id}
+                className={sidebarTab === tab.id ? 'active' : ''}
+                onClick={() => setSidebarTab(tab.id)}
+              >
+                {tab.label}
+                {tab.id === 'queue' && playQueue.queue.length > 0 && ` (${playQueue.queue.length})`}
+              </button>
+            ))}
+          </div>
+
+          {/* Library stays mounted (it owns scanning and tagging), just hidden */}
+          <div className={`sidebar-panel ${sidebarTab === 'library' ? '' : 'hidden'}`}>
+            <Library
+              onTrackSelect={handleTrackSelect}
+              currentTrackId={currentTrack?.id}
+              onTracksChange={setLibraryTracks}
+              onTracksRemove={forgetTracks}
+              playlists={playlists}
+              onPlayNext={playQueue.playNext}
+              onAddToQueue={playQueue.addToQueue}
+              onAddToPlaylist={(id, track) => addTracks(id, [track.id])}
+              onCreatePlaylist={createPlaylist}
+            />
+          </div>
+
+          {sidebarTab === 'playlists' && (
+            <div className="sidebar-panel">
+              <Playlists
+                playlists={playlists}
+                tracks={libraryTracks}
+                currentTrackId={currentTrack?.id}
+                onTrackSelect={handleTrackSelect}
+                onAddToQueue={playQueue.addToQueue}
+                onCreate={createPlaylist}
+                onRename={renamePlaylist}
+                onDelete={deletePlaylist}
+                onRemoveTrack={removeTrackAt}
+                onMoveTrack={moveTrack}
+              />
+            </div>
+          )}
+
+          {sidebarTab === 'queue' && (
+            <div className="sidebar-panel">
+              <QueuePanel
+                currentTrack={currentTrack}
+                queue={playQueue.queue}
+                history={playQueue.history}
+                onPlayQueued={playQueue.playQueued}
+                onRemove={playQueue.removeFromQueue}
+                onClear={playQueue.clearQueue}
+                onPlayHistory={(track) => playQueue.playTrack(track)}
+              />
+            </div>
+          )}
         </aside>
 
         <section className="main-stage">
           <Player
             currentTrack={currentTrack}
-            onNext={handleNext}
-            onPrev={handlePrev}
+            upcomingTrack={playQueue.upcomingTrack}
+            onNext={playQueue.next}
+            onPrev={playQueue.prev}
+            shuffle={playQueue.shuffle}
+            repeatMode={playQueue.repeatMode}
+            onToggleShuffle={playQueue.toggleShuffle}
+            onCycleRepeat={playQueue.cycleRepeat}
+            trackSettings={trackSettings}
+            automation={automation}
+            loopRegions={loopRegions}
           />
         </section>
       </main>
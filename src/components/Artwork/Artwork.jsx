@@ -0,0 +1,22 @@
+import { useEffect, useRef } from 'react';
+import './Artwork.css';
+
+// Cover art from a stored Blob, with a note icon as fallback. The object URL is made and
+// revoked by the effect (and written straight to the <img>), so it never outlives the image.
+export default function Artwork({ blob, size = 40, className = '' }) {
+    const imgRef = useRef(null);
+
+    useEffect(() => {
+        if (!blob) return;
+        const url = URL.createObjectURL(blob);
+        imgRef.current.src = url;
+        return () => URL.revokeObjectURL(url);
+    }, [blob]);
+
+    const style = { width: size, height: size, fontSize: size * 0.45 };
+
+    if (!blob) {
+        return <div className={`artwork artwork-placeholder ${className}`} style={style}>🎵</div>;
+    }
+    return <img ref={imgRef} className={`artwork ${className}`} style={style} alt="" />;
+}
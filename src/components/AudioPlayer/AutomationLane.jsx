@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef } from 'react';
+import { toLog, toLinear, MIN_FREQ, MAX_FREQ } from '../../utils/audioMath';
+import { automationValueAt, insertPoint, simplifyLane } from '../../utils/automation';
+import './AutomationLane.css';
+
+const LANE_HEIGHT = 60;
+// Above this many points the lane is drawn as a curve only (thin it to edit)
+const MAX_EDITABLE_POINTS = 300;
+
+// Low/High Cut automation drawn under the progress bar.
+// Drag a handle to move a point, double-click a handle to delete it,
+// double-click empty space to add one.
+export default function AutomationLane({ points, duration, currentTime, mode, onModeChange, onChange, fallbackRange, disabled }) {
+    const svgRef = useRef(null);
+    const [width, setWidth] = useState(0);
+    // Point being dragged: { index, edge: 'low' | 'high', points }
+    const [drag, setDrag] = useState(null);
+
+    useEffect(() => {
+        const svg = svgRef.current;
+        const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+        observer.observe(svg);
+        return () => observer.disconnect();
+    }, []);
+
+    const shown = drag ? drag.points : points;
+    const isEditable = shown.length <= MAX_EDITABLE_POINTS;
+
+    const xForTime = (t) => (duration ? (t / duration) * width : 0);
+    const yForHz = (hz) => LANE_HEIGHT - (toLinear(hz, MIN_FREQ, MAX_FREQ) / 100) * LANE_HEIGHT;
+
+    const pointerToLane = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+        const y = Math.min(Math.max(e.clientY - rect.top, 0), rect.height);
+        return {
+            time: (x / rect.width) * duration,
+            hz: toLog((1 - y / rect.height) * 100, MIN_FREQ, MAX_FREQ)
+        };
+    };
+
+    const handleDragStart = (e, index, edge) => {
+        if (disabled) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag({ index, edge, points });
+    };
+
+    const handleDragMove = (e) => {
+        if (!drag) return;
+        const { time, hz } = pointerToLane(e);
+        const prev = drag.points[drag.index - 1];
+        const next = drag.points[drag.index + 1];
+        const point = { ...drag.points[drag.index] };
+
+        // Keep time order and keep Low Cut below High Cut
+        point.time = Math.min(Math.max(time, prev ? prev.time : 0), next ? next.time : duration);
+        if (drag.edge === 'low') point.minHz = Math.min(hz, point.maxHz * 0.99);
+        else point.maxHz = Math.max(hz, point.minHz * 1.01);
+
+        const updated = drag.points.slice();
+        updated[drag.index] = point;
+        setDrag({ ...drag, points: updated });
+    };
+
+    const handleDragEnd = () => {
+        if (!drag) return;
+        onChange(drag.points);
+        setDrag(null);
+    };
+
+    const handleDeletePoint = (e, index) => {
+        e.stopPropagation();
+        if (disabled) return;
+        onChange(points.filter((_, i) => i !== index));
+    };
+
+    const handleAddPoint = (e) => {
+        if (disabled || !duration) return;
+        const { time, hz } = pointerToLane(e);
+        const base = automationValueAt(points, time) || fallbackRange;
+        // Set whichever cutoff is closer to where we clicked
+        const lowDist = Math.abs(Math.log(hz / base.minHz));
+        const highDist = Math.abs(Math.log(hz / base.maxHz));
+        const point = lowDist <= highDist
+            ? { time, minHz: Math.min(hz, base.maxHz * 0.99), maxHz: base.maxHz }
+            : { time, minHz: base.minHz, maxHz: Math.max(hz, base.minHz * 1.01) };
+        onChange(insertPoint(points, point));
+    };
+
+    // Extend the held values to the lane edges
+    const edgePath = (key) => shown.length
+        ? `0,${yForHz(shown[0][key])} ${shown.map(p => `${xForTime(p.time)},${yForHz(p[key])}`).join(' ')} ${width},${yForHz(shown[shown.length - 1][key])}`
+        : '';
+
+    return (
+        <div className="automation-lane">
+            <div className="automation-toolbar">
+                <button
+                    className={`automation-btn record ${mode === 'record' ? 'active' : ''}`}
+                    onClick={() => onModeChange(mode === 'record' ? 'off' : 'record')}
+                    disabled={disabled}
+                    title="Record Low/High Cut moves and the sweep"
+                >
+                    ● Rec
+                </button>
+                <button
+                    className={`automation-btn ${mode === 'play' ? 'active' : ''}`}
+                    onClick={() => onModeChange(mode === 'play' ? 'off' : 'play')}
+                    disabled={disabled || points.length === 0}
+                    title="Replay the lane in sync with the track"
+                >
+                    ▶ Auto
+                </button>
+                <span className="automation-count">{points.length} pts</span>
+                <button
+                    className="automation-btn"
+                    onClick={() => onChange(simplifyLane(points))}
+                    disabled={disabled || points.length <= 2}
+                    title="Remove redundant points"
+                >
+                    Thin
+                </button>
+                <button
+                    className="automation-btn"
+                    onClick={() => onChange([])}
+                    disabled={disabled || points.length === 0}
+                >
+                    Clear
+                </button>
+            </div>
+
+            <svg
+                ref={svgRef}
+                className={`automation-svg ${disabled ? 'disabled' : ''}`}
+                height={LANE_HEIGHT}
+                onDoubleClick={handleAddPoint}
+                onPointerMove={handleDragMove}
+                onPointerUp={handleDragEnd}
+                onPointerCancel={() => setDrag(null)}
+            >
+                {shown.length > 0 && (
+                    <>
+                        <polygon
+                            className="automation-band"
+                            points={`${edgePath('minHz')} ${edgePath('maxHz').split(' ').reverse().join(' ')}`}
+                        />
+                        <polyline className="automation-line low" points={edgePath('minHz')} />
+                        <polyline className="automation-line high" points={edgePath('maxHz')} />
+                    </>
+                )}
+                {isEditable && shown.map((p, i) => (
+                    <g key={i}>
+                        <circle
+                            className="automation-handle low"
+                            cx={xForTime(p.time)}
+                            cy={yForHz(p.minHz)}
+                            r={4}
+                            onPointerDown={(e) => handleDragStart(e, i, 'low')}
+                            onDoubleClick={(e) => handleDeletePoint(e, i)}
+                        />
+                        <circle
+                            className="automation-handle high"
+                            cx={xForTime(p.time)}
+                            cy={yForHz(p.maxHz)}
+                            r={4}
+                            onPointerDown={(e) => handleDragStart(e, i, 'high')}
+                            onDoubleClick={(e) => handleDeletePoint(e, i)}
+                        />
+                    </g>
+                ))}
+                {duration > 0 && (
+                    <line
+                        className="automation-playhead"
+                        x1={xForTime(currentTime)}
+                        x2={xForTime(currentTime)}
+                        y1={0}
+                        y2={LANE_HEIGHT}
+                    />
+                )}
+            </svg>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import { toLog, toLinear, MIN_FREQ, MAX_FREQ } from '../../utils/audioMath';
+import './BandControls.css';
+
+const MODE_LABELS = { pass: 'Band Pass', reject: 'Band Reject', multi: 'Multi-Band' };
+const MIN_GAIN_DB = -24;
+const MAX_GAIN_DB = 12;
+
+const formatHz = (hz) => (hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`);
+
+// Gain slider plus mute / solo toggles for one band of the multi-band mix
+function BandMix({ band, onChange }) {
+    return (
+        <>
+            <input
+                type="range"
+                className="band-gain"
+                min={MIN_GAIN_DB}
+                max={MAX_GAIN_DB}
+                step={0.5}
+                value={band.gainDb}
+                title={`${band.gainDb > 0 ? '+' : ''}${band.gainDb} dB`}
+                onChange={(e) => onChange({ gainDb: Number(e.target.value) })}
+                onDoubleClick={() => onChange({ gainDb: 0 })}
+            />
+            <span className="band-db">{band.gainDb > 0 ? '+' : ''}{band.gainDb}dB</span>
+            <button className={`band-toggle mute ${band.muted ? 'active' : ''}`} onClick={() => onChange({ muted: !band.muted })}>M</button>
+            <button className={`band-toggle solo ${band.solo ? 'active' : ''}`} onClick={() => onChange({ solo: !band.solo })}>S</button>
+        </>
+    );
+}
+
+// Filter mode selector; in multi-band mode also the extra pass bands and the per-band mix
+export default function BandControls({ mode, onModeChange, mainBand, onMainBandChange, bands, onAddBand, onBandChange, onRemoveBand }) {
+    return (
+        <div className="band-controls">
+            <div className="band-modes">
+                {Object.entries(MODE_LABELS).map(([value, label]) => (
+                    <button key={value} className={mode === value ? 'active' : ''} onClick={() => onModeChange(value)}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'multi' && (
+                <div className="band-list">
+                    <div className="band-row">
+                        <span className="band-name">Main</span>
+                        <span className="band-range">sliders below</span>
+                        <BandMix band={mainBand} onChange={onMainBandChange} />
+                    </div>
+
+                    {bands.map((band, i) => (
+                        <div key={band.id} className="band-row">
+                            <span className="band-name">Band {i + 2}</span>
+                            <div className="band-range">
+                                <input
+                                    type="range"
+                                    min={0}
+                                    max={100}
+                                    step={0.1}
+                                    value={toLinear(band.lowHz, MIN_FREQ, MAX_FREQ)}
+                                    onChange={(e) => {
+                                        const lowHz = toLog(Number(e.target.value), MIN_FREQ, MAX_FREQ);
+                                        onBandChange(band.id, { lowHz: Math.min(lowHz, band.highHz) });
+                                    }}
+                                />
+                                <input
+                                    type="range"
+                                    min={0}
+                                    max={100}
+                                    step={0.1}
+                                    value={toLinear(band.highHz, MIN_FREQ, MAX_FREQ)}
+                                    onChange={(e) => {
+                                        const highHz = toLog(Number(e.target.value), MIN_FREQ, MAX_FREQ);
+                                        onBandChange(band.id, { highHz: Math.max(highHz, band.lowHz) });
+                                    }}
+                                />
+                                <span className="band-hz">{formatHz(band.lowHz)}–{formatHz(band.highHz)} Hz</span>
+                            </div>
+                            <BandMix band={band} onChange={(changes) => onBandChange(band.id, changes)} />
+                            <button className="band-remove" onClick={() => onRemoveBand(band.id)}>×</button>
+                        </div>
+                    ))}
+
+                    <button className="band-add" onClick={onAddBand}>+ Add Band</button>
+                </div>
+            )}
+        </div>
+    );
+}
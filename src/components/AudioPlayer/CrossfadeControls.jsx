@@ -0,0 +1,21 @@
+import { MAX_CROSSFADE } from '../../hooks/useAudioEngine';
+import './CrossfadeControls.css';
+
+// Overlap between consecutive tracks: 0 plays them back to back without a gap
+export default function CrossfadeControls({ seconds, onChange }) {
+    return (
+        <div className="crossfade-controls">
+            <label>{seconds > 0 ? `Crossfade ${seconds}s` : 'Gapless'}</label>
+            <input
+                type="range"
+                min={0}
+                max={MAX_CROSSFADE}
+                step={0.5}
+                value={seconds}
+                onChange={(e) => onChange(Number(e.target.value))}
+                onDoubleClick={() => onChange(0)}
+                title="Equal-power crossfade into the next track (double-click for gapless)"
+            />
+        </div>
+    );
+}
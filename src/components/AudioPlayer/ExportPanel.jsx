@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { formatTime } from '../../utils/format';
+import './ExportPanel.css';
+
+const BIT_DEPTHS = [
+    { value: 16, label: '16-bit PCM' },
+    { value: 24, label: '24-bit PCM' },
+    { value: 32, label: '32-bit Float' },
+];
+
+// Renders the current isolation (optionally following the automation lane) to a WAV download
+export default function ExportPanel({ trackName, duration, lowHz, highHz, getPosition, exportAudio, automation, isLinearPhase, isStreaming }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [bitDepth, setBitDepth] = useState(16);
+    const [rangeStart, setRangeStart] = useState(0);
+    const [rangeEnd, setRangeEnd] = useState(duration);
+    const [includeLane, setIncludeLane] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [rangeDuration, setRangeDuration] = useState(duration);
+
+    // Reset the range whenever a new track is loaded (while rendering, so no stale range is shown)
+    if (!Object.is(rangeDuration, duration)) {
+        setRangeDuration(duration);
+        setRangeStart(0);
+        setRangeEnd(duration);
+    }
+
+    const hasLane = automation && automation.length > 0;
+    // The linear-phase kernel is static, so a lane can only be followed with the biquads
+    const followLane = includeLane && hasLane && !isLinearPhase;
+    const isExporting = progress !== null;
+
+    const handleExport = async () => {
+        setProgress(0);
+        try {
+            const blob = await exportAudio({
+                startTime: rangeStart,
+                endTime: rangeEnd,
+                bitDepth,
+                automation: followLane ? automation : null,
+                onProgress: setProgress
+            });
+
+            const base = (trackName || 'export').replace(/\.[^/.]+$/, '');
+            const bandLabel = followLane ? 'automated' : `${Math.round(lowHz)}-${Math.round(highHz)}Hz`;
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${base} [${bandLabel}].wav`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (err) {
+            console.error("Export failed:", err);
+            alert(`Export failed: ${err.message}`);
+        }
+        setProgress(null);
+    };
+
+    if (!isOpen) {
+        return (
+            <div className="effects-row">
+                <button className="export-toggle" onClick={() => setIsOpen(true)} disabled={!duration}>
+                    ⬇ Export WAV
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="export-panel">
+            <div className="export-header">
+                <h3>Export</h3>
+                <button className="export-close" onClick={() => setIsOpen(false)} disabled={isExporting}>×</button>
+            </div>
+
+            <div className="export-row">
+                <label>Format</label>
+                <select value={bitDepth} onChange={(e) => setBitDepth(Number(e.target.value))} disabled={isExporting}>
+                    {BIT_DEPTHS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                </select>
+            </div>
+
+            <div className="export-row">
+                <label>From {formatTime(rangeStart)}</label>
+                <input
+                    type="number"
+                    min={0}
+                    max={rangeEnd}
+                    step={0.1}
+                    value={Number(rangeStart.toFixed(1))}
+                    onChange={(e) => setRangeStart(Math.min(Math.max(0, Number(e.target.value)), rangeEnd))}
+                    disabled={isExporting}
+                />
+                <button onClick={() => setRangeStart(Math.min(getPosition(), rangeEnd))} disabled={isExporting}>
+                    Playhead
+                </button>
+            </div>
+
+            <div className="export-row">
+                <label>To {formatTime(rangeEnd)}</label>
+                <input
+                    type="number"
+                    min={rangeStart}
+                    max={duration}
+                    step={0.1}
+                    value={Number(rangeEnd.toFixed(1))}
+                    onChange={(e) => setRangeEnd(Math.max(Math.min(duration, Number(e.target.value)), rangeStart))}
+                    disabled={isExporting}
+                />
+                <button onClick={() => setRangeEnd(Math.max(getPosition(), rangeStart))} disabled={isExporting}>
+                    Playhead
+                </button>
+            </div>
+
+            <label className="export-check">
+                <input
+                    type="checkbox"
+                    checked={followLane}
+                    onChange={(e) => setIncludeLane(e.target.checked)}
+                    disabled={!hasLane || isLinearPhase || isExporting}
+                />
+                Follow automation lane {!hasLane ? '(none recorded)' : isLinearPhase ? '(not available in Linear Phase mode, switch to Biquad)' : ''}
+            </label>
+
+            {isStreaming && (
+                <p className="hint-text">
+                    This track is streamed: exporting decodes the whole file first, which takes a lot of memory.
+                </p>
+            )}
+
+            {isExporting ? (
+                <div className="export-progress">
+                    <div className="export-progress-fill" style={{ width: `${progress * 100}%` }} />
+                </div>
+            ) : (
+                <button className="export-btn" onClick={handleExport} disabled={rangeEnd <= rangeStart}>
+                    Export {Math.round(lowHz)}–{Math.round(highHz)} Hz
+                </button>
+            )}
+        </div>
+    );
+}
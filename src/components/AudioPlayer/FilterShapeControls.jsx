@@ -0,0 +1,117 @@
+import { FILTER_SLOPES, FILTER_TOPOLOGIES, cutoffDb } from '../../utils/filterDesign';
+import { LINEAR_PHASE_TAPS } from '../../utils/firDesign';
+import './FilterShapeControls.css';
+
+const TOPOLOGY_LABELS = { butterworth: 'Butterworth', 'linkwitz-riley': 'Linkwitz-Riley' };
+
+// Filter engine (biquad cascade or linear phase) and the shape of each
+export default function FilterShapeControls({
+    design,
+    onChange,
+    phaseMode,
+    onPhaseModeChange,
+    linearTaps,
+    onLinearTapsChange,
+    latency
+}) {
+    const isLinear = phaseMode === 'linear';
+
+    return (
+        <details className="filter-shape">
+            <summary>
+                Filter Shape: {isLinear
+                    ? `Linear Phase, ${linearTaps} taps`
+                    : `${design.slope} dB/oct ${TOPOLOGY_LABELS[design.topology]}`}
+                {!isLinear && design.resonanceDb > 0 ? ` +${design.resonanceDb} dB resonance` : ''}
+            </summary>
+
+            <div className="filter-shape-row">
+                <label>Engine</label>
+                <div className="filter-shape-options">
+                    <button className={!isLinear ? 'active' : ''} onClick={() => onPhaseModeChange('iir')}>
+                        Biquad
+                    </button>
+                    <button className={isLinear ? 'active' : ''} onClick={() => onPhaseModeChange('linear')}>
+                        Linear Phase
+                    </button>
+                    <button
+                        className="filter-shape-ab"
+                        onClick={() => onPhaseModeChange(isLinear ? 'iir' : 'linear')}
+                        title="Switch engines to compare"
+                    >
+                        A/B
+                    </button>
+                </div>
+            </div>
+
+            {isLinear ? (
+                <div className="filter-shape-row">
+                    <label>Steepness</label>
+                    <div className="filter-shape-options">
+                        {LINEAR_PHASE_TAPS.map(taps => (
+                            <button
+                                key={taps}
+                                className={linearTaps === taps ? 'active' : ''}
+                                onClick={() => onLinearTapsChange(taps)}
+                            >
+                                {taps}
+                            </button>
+                        ))}
+                    </div>
+                    <span className="filter-shape-latency">+{Math.round(latency * 1000)} ms latency</span>
+                </div>
+            ) : (
+                <>
+                    <div className="filter-shape-row">
+                        <label>Slope</label>
+                        <div className="filter-shape-options">
+                            {FILTER_SLOPES.map(slope => (
+                                <button
+                                    key={slope}
+                                    className={design.slope === slope ? 'active' : ''}
+                                    onClick={() => onChange({ slope })}
+                                >
+                                    {slope}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="filter-shape-row">
+                        <label>Type</label>
+                        <div className="filter-shape-options">
+                            {FILTER_TOPOLOGIES.map(topology => (
+                                <button
+                                    key={topology}
+                                    className={design.topology === topology ? 'active' : ''}
+                                    onClick={() => onChange({ topology })}
+                                >
+                                    {TOPOLOGY_LABELS[topology]}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="filter-shape-row">
+                        <label>Resonance {design.resonanceDb} dB</label>
+                        <input
+                            type="range"
+                            min={0}
+                            max={12}
+                            step={0.5}
+                            value={design.resonanceDb}
+                            onChange={(e) => onChange({ resonanceDb: Number(e.target.value) })}
+                            onDoubleClick={() => onChange({ resonanceDb: 0 })}
+                        />
+                    </div>
+                </>
+            )}
+
+            <p className="filter-shape-note">
+                {isLinear
+                    ? 'Cutoff values are the -6 dB points. The sweep and lane update the kernel a few times per second.'
+                    : `Cutoff values are the ${Math.round(cutoffDb(design.topology))} dB points.`}
+            </p>
+        </details>
+    );
+}
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { formatTime } from '../../utils/format';
+import './LiveInputControls.css';
+
+// Source switch (file / live input), input device, monitor mute and recording of the output
+export default function LiveInputControls({
+    isLive,
+    devices,
+    deviceId,
+    onStart,
+    onStop,
+    isMonitorMuted,
+    onMonitorMutedChange,
+    isRecording,
+    canRecord,
+    onToggleRecording
+}) {
+    // Elapsed recording time, ticking once a second
+    const [recordedSeconds, setRecordedSeconds] = useState(0);
+    const [wasRecording, setWasRecording] = useState(isRecording);
+
+    // A new recording starts from zero
+    if (wasRecording !== isRecording) {
+        setWasRecording(isRecording);
+        if (isRecording) setRecordedSeconds(0);
+    }
+
+    useEffect(() => {
+        if (!isRecording) return;
+        const start = performance.now();
+        const timer = setInterval(() => setRecordedSeconds((performance.now() - start) / 1000), 1000);
+        return () => clearInterval(timer);
+    }, [isRecording]);
+
+    return (
+        <div className="live-input">
+            <div className="live-input-row">
+                <div className="live-input-sources">
+                    <button className={!isLive ? 'active' : ''} onClick={onStop}>File</button>
+                    <button className={isLive ? 'active' : ''} onClick={() => onStart(deviceId)}>Live Input</button>
+                </div>
+
+                {isLive && (
+                    <>
+                        <select value={deviceId} onChange={(e) => onStart(e.target.value)}>
+                            {devices.length === 0 && <option value="">Default input</option>}
+                            {devices.map(device => (
+                                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                            ))}
+                        </select>
+                        <label className="live-input-check" title="Use headphones, or keep muted, to avoid feedback">
+                            <input
+                                type="checkbox"
+                                checked={!isMonitorMuted}
+                                onChange={(e) => onMonitorMutedChange(!e.target.checked)}
+                            />
+                            Monitor
+                        </label>
+                    </>
+                )}
+
+                <button
+                    className={`record-btn ${isRecording ? 'recording' : ''}`}
+                    onClick={onToggleRecording}
+                    disabled={!canRecord && !isRecording}
+                    title="Record the processed output to a file"
+                >
+                    {isRecording ? `■ Stop ${formatTime(recordedSeconds)}` : '● Record'}
+                </button>
+            </div>
+
+            {isLive && !isMonitorMuted && (
+                <p className="live-input-warning">Monitoring is on: use headphones if the input can hear your speakers.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,62 @@
+import { formatTime } from '../../utils/format';
+import './LoopControls.css';
+
+// A/B loop buttons plus the saved regions for the current track
+export default function LoopControls({
+    region,
+    isEnabled,
+    savedRegions,
+    canSave,
+    disabled,
+    onSetIn,
+    onSetOut,
+    onToggle,
+    onClear,
+    onSave,
+    onSelect,
+    onDelete
+}) {
+    const handleSave = () => {
+        const name = prompt("Loop name:", region ? `${formatTime(region.start)}–${formatTime(region.end)}` : '');
+        if (name && name.trim()) onSave(name.trim());
+    };
+
+    const handleDelete = (e, saved) => {
+        e.stopPropagation();
+        if (confirm(`Delete loop "${saved.name}"?`)) onDelete(saved.id);
+    };
+
+    return (
+        <div className="loop-controls">
+            <div className="loop-buttons">
+                <button className="loop-btn" onClick={onSetIn} disabled={disabled}>A</button>
+                <button className="loop-btn" onClick={onSetOut} disabled={disabled}>B</button>
+                <button
+                    className={`loop-btn loop-toggle ${isEnabled ? 'active' : ''}`}
+                    onClick={onToggle}
+                    disabled={disabled || !region}
+                >
+                    ⟲ Loop
+                </button>
+                {region && (
+                    <span className="loop-range">
+                        {formatTime(region.start)} – {formatTime(region.end)}
+                    </span>
+                )}
+                <button className="loop-btn" onClick={onClear} disabled={disabled || !region}>Clear</button>
+                <button className="loop-btn" onClick={handleSave} disabled={disabled || !region || !canSave}>Save</button>
+            </div>
+
+            {savedRegions.length > 0 && (
+                <div className="loop-saved">
+                    {savedRegions.map(saved => (
+                        <div key={saved.id} className="loop-chip" onClick={() => onSelect(saved)}>
+                            <span>{saved.name}</span>
+                            <button className="loop-chip-delete" onClick={(e) => handleDelete(e, saved)}>×</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
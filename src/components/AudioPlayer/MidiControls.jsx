@@ -0,0 +1,57 @@
+import { MIDI_TARGETS, formatControl } from '../../utils/midi';
+import './MidiControls.css';
+
+const STATUS_LABELS = {
+    unsupported: 'Web MIDI is not available in this browser',
+    off: 'Off',
+    pending: 'Connecting…',
+    ready: 'On',
+    denied: 'Access denied'
+};
+
+// MIDI learn: pick a target, then move a knob / fader or press a button on the controller
+export default function MidiControls({ status, inputs, mappings, learning, onEnable, onDisable, onLearn, onClear, onClearAll }) {
+    const controlFor = (target) => Object.keys(mappings).find(key => mappings[key] === target);
+    const isOn = status === 'ready';
+
+    return (
+        <details className="midi-controls">
+            <summary>
+                MIDI: {STATUS_LABELS[status]}
+                {isOn && ` (${inputs.length ? inputs.map(input => input.name).join(', ') : 'no devices'})`}
+            </summary>
+
+            <div className="midi-header">
+                {isOn ? (
+                    <button onClick={onDisable}>Disable MIDI</button>
+                ) : (
+                    <button onClick={onEnable} disabled={status === 'unsupported' || status === 'pending'}>
+                        Enable MIDI
+                    </button>
+                )}
+                <button onClick={onClearAll} disabled={Object.keys(mappings).length === 0}>Clear All</button>
+            </div>
+
+            <div className="midi-grid">
+                {MIDI_TARGETS.map(target => {
+                    const control = controlFor(target.id);
+                    const isLearning = learning === target.id;
+                    return (
+                        <div key={target.id} className="midi-row">
+                            <span>{target.label}</span>
+                            <span className="midi-control">{control ? formatControl(control) : '—'}</span>
+                            <button
+                                className={isLearning ? 'learning' : ''}
+                                onClick={() => onLearn(target.id)}
+                                disabled={!isOn}
+                            >
+                                {isLearning ? 'Move a control…' : 'Learn'}
+                            </button>
+                            <button onClick={() => onClear(target.id)} disabled={!control} title="Remove mapping">✕</button>
+                        </div>
+                    );
+                })}
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { useEffectEvent } from '../../hooks/useEffectEvent';
+import './OutputControls.css';
+
+const METER_FLOOR_DB = -60;
+// Peak hold falls back at this rate (dB per second)
+const PEAK_FALL_DB_PER_S = 20;
+// The meters re-render at most this often; levels are still read (and peaks held) every frame
+const METER_INTERVAL_MS = 66;
+
+const meterWidth = (db) => `${Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB)) * 100}%`;
+const formatDb = (db, digits = 1) => (Number.isFinite(db) ? db.toFixed(digits) : '-∞');
+
+// Peak / RMS / loudness meters, output gain and the auto-gain switch
+export default function OutputControls({ getLevels, outputGainDb, onOutputGainChange, isAutoGain, onAutoGainChange, disabled }) {
+    const [levels, setLevels] = useState(null);
+    const peakHoldRef = useRef({ db: -Infinity, time: 0 });
+
+    // Latest engine accessor, so the polling loop doesn't restart on every render
+    const readLevels = useEffectEvent(() => getLevels());
+
+    useEffect(() => {
+        let frame;
+        let lastUpdate = -Infinity;
+        const poll = (now) => {
+            const current = readLevels();
+            if (current) {
+                // Hold the highest recent peak and let it fall back slowly
+                const hold = peakHoldRef.current;
+                const fallen = hold.db - ((now - hold.time) / 1000) * PEAK_FALL_DB_PER_S;
+                if (current.peakDb >= fallen) peakHoldRef.current = { db: current.peakDb, time: now };
+                if (now - lastUpdate >= METER_INTERVAL_MS) {
+                    lastUpdate = now;
+                    setLevels({ ...current, peakHoldDb: Math.max(current.peakDb, fallen) });
+                }
+            }
+            frame = requestAnimationFrame(poll);
+        };
+        frame = requestAnimationFrame(poll);
+        return () => cancelAnimationFrame(frame);
+    }, []);
+
+    return (
+        <div className="output-controls">
+            <div className="output-meters">
+                <div className="meter-bar">
+                    <div
+                        className={`meter-rms ${levels && levels.peakHoldDb > -3 ? 'hot' : ''}`}
+                        style={{ width: meterWidth(levels ? levels.rmsDb : -Infinity) }}
+                    />
+                    <div className="meter-peak" style={{ left: meterWidth(levels ? levels.peakHoldDb : -Infinity) }} />
+                </div>
+                <div className="meter-readout">
+                    <span>Peak {formatDb(levels?.peakHoldDb)} dB</span>
+                    <span>RMS {formatDb(levels?.rmsDb)} dB</span>
+                    <span>{formatDb(levels?.lufs)} LUFS</span>
+                    {levels && levels.limiterDb < -0.1 && (
+                        <span className="meter-limit">Limit {formatDb(levels.limiterDb)} dB</span>
+                    )}
+                </div>
+            </div>
+
+            <div className="output-row">
+                <label>Output {outputGainDb > 0 ? '+' : ''}{outputGainDb} dB</label>
+                <input
+                    type="range"
+                    min={-24}
+                    max={12}
+                    step={0.5}
+                    value={outputGainDb}
+                    onChange={(e) => onOutputGainChange(Number(e.target.value))}
+                    onDoubleClick={() => onOutputGainChange(0)}
+                    disabled={disabled}
+                />
+                <label className="output-check">
+                    <input
+                        type="checkbox"
+                        checked={isAutoGain}
+                        onChange={(e) => onAutoGainChange(e.target.checked)}
+                        disabled={disabled}
+                    />
+                    Auto-gain {isAutoGain && levels ? `(${levels.autoGainDb > 0 ? '+' : ''}${formatDb(levels.autoGainDb)} dB)` : ''}
+                </label>
+            </div>
+        </div>
+    );
+}
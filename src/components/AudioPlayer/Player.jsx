@@ -1,66 +1,185 @@
 import { useState, useEffect, useRef } from 'react';
-import { useAudioEngine } from '../../hooks/useAudioEngine';
-import { toLog, toLinear } from '../../utils/audioMath';
+import { useAudioEngine, passRanges } from '../../hooks/useAudioEngine';
+import { usePresets } from '../../hooks/usePresets';
+import { useGlide } from '../../hooks/useGlide';
+import { useSweep } from '../../hooks/useSweep';
+import { useAutomationLane } from '../../hooks/useAutomationLane';
+import { useLoop } from '../../hooks/useLoop';
+import { useTempo } from '../../hooks/useTempo';
+import { useBands } from '../../hooks/useBands';
+import { useFilterShape } from '../../hooks/useFilterShape';
+import { useStereo } from '../../hooks/useStereo';
+import { useOutputLevel } from '../../hooks/useOutputLevel';
+import { useCrossfade } from '../../hooks/useCrossfade';
+import { useLiveInput } from '../../hooks/useLiveInput';
+import { useRememberedSettings } from '../../hooks/useRememberedSettings';
+import { useEffectEvent } from '../../hooks/useEffectEvent';
+import { useWaveform } from '../../hooks/useWaveform';
+import { useMediaSession } from '../../hooks/useMediaSession';
+import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts';
+import { useMidiMapping } from '../../hooks/useMidiMapping';
+import { PRESET_SHORTCUT_COUNT } from '../../utils/keyboardShortcuts';
+import { bandToCutoffs } from '../../utils/midi';
+import { trackFile } from '../../utils/libraryScan';
+import { toLog, toLinear, MIN_FREQ, MAX_FREQ } from '../../utils/audioMath';
+import { formatTime } from '../../utils/format';
+import SpectrumAnalyzer from './SpectrumAnalyzer';
+import ExportPanel from './ExportPanel';
+import PresetBar from './PresetBar';
+import SweepControls from './SweepControls';
+import AutomationLane from './AutomationLane';
+import LoopControls from './LoopControls';
+import SpeedControls from './SpeedControls';
+import BandControls from './BandControls';
+import FilterShapeControls from './FilterShapeControls';
+import StereoControls from './StereoControls';
+import OutputControls from './OutputControls';
+import WaveformOverview from './WaveformOverview';
+import CrossfadeControls from './CrossfadeControls';
+import ShortcutSettings from './ShortcutSettings';
+import MidiControls from './MidiControls';
+import LiveInputControls from './LiveInputControls';
+import Artwork from '../Artwork/Artwork';
 import './Player.css';
 
-const MIN_FREQ = 20;
-const MAX_FREQ = 20000;
-
-export default function Player({ currentTrack, onNext, onPrev }) {
+// Keyboard seek step (seconds) and cutoff nudge (slider units, 0-100)
+const SEEK_STEP = 5;
+const NUDGE_STEP = 1;
+
+const REPEAT_LABELS = { off: 'Repeat off', all: 'Repeat all', one: 'Repeat one' };
+
+export default function Player({
+    currentTrack,
+    upcomingTrack = null,
+    onNext,
+    onPrev,
+    shuffle = false,
+    repeatMode = 'off',
+    onToggleShuffle,
+    onCycleRepeat,
+    trackSettings: trackSettingsStore, // useTrackSettings, useAutomation and useLoopRegions (owned by App)
+    automation,
+    loopRegions: loopRegionsStore
+}) {
+    const engine = useAudioEngine(handleTrackEnd);
     const {
         loadFile,
         play,
         pause,
+        seek,
+        getLevels,
+        filterLatency,
+        canShiftPitch,
         isPlaying,
         isReady,
+        isStreaming,
         duration,
         currentTime,
-        setFrequencyRange
-    } = useAudioEngine(onNext);
+        setFrequencyRange,
+        getPosition,
+        exportAudio,
+        getAudioBuffer,
+        isLive,
+        isRecording,
+        analyser
+    } = engine;
+
+    // Track changes: gapless, or crossfaded, with the following track decoded ahead of time
+    const followingTrack = repeatMode === 'one' ? currentTrack : upcomingTrack;
+    const { crossfade, changeCrossfade, forgetPreload } = useCrossfade(engine, followingTrack);
+
+    // Natural end of a track: repeat-one plays it again, anything else moves on.
+    // After a gapless transition ({ continued: true }) the engine already plays what follows.
+    // A function declaration, so the engine above can take it and it can use the engine's controls.
+    function handleTrackEnd(info) {
+        forgetPreload();
+        if (repeatMode === 'one') {
+            if (!info?.continued) {
+                seek(0);
+                play();
+            }
+        } else if (onNext) {
+            onNext();
+        }
+    }
 
     // Internal state for Sliders (0-100 linear position)
     // We initialize them to represent the full range (20Hz - 20kHz)
     // 0 -> 20Hz, 100 -> 20kHz
     const [lowSlider, setLowSlider] = useState(0);
     const [highSlider, setHighSlider] = useState(100);
-    const [isSweepEnabled, setIsSweepEnabled] = useState(false);
-
-    const sweepRef = useRef({ phase: 0, bandwidth: 100 });
-
-    // Handle Hypnosis Sweep Logic
-    useEffect(() => {
-        if (!isSweepEnabled) return;
-
-        // Capture current bandwidth to preserve it during sweep
-        sweepRef.current.bandwidth = highSlider - lowSlider;
-        // Start from center of current position
-        const currentCenter = (lowSlider + highSlider) / 2;
-        sweepRef.current.phase = Math.asin((currentCenter / 50) - 1);
-
-        const sweepInterval = setInterval(() => {
-            sweepRef.current.phase += 0.005; // 0.5x speed (was 0.01)
 
-            const halfBW = sweepRef.current.bandwidth / 2;
-            const range = 100 - sweepRef.current.bandwidth;
-
-            // Map sine (-1 to 1) to the valid center range [halfBW, 100 - halfBW]
-            // This prevents the "pause" at the ends caused by clamping
-            const centerFactor = (Math.sin(sweepRef.current.phase) + 1) / 2; // 0 to 1
-            const center = halfBW + (centerFactor * range);
+    // Move both sliders to a range (Hz)
+    const showRange = (minHz, maxHz) => {
+        setLowSlider(toLinear(minHz, MIN_FREQ, MAX_FREQ));
+        setHighSlider(toLinear(maxHz, MIN_FREQ, MAX_FREQ));
+    };
 
-            const newLow = center - halfBW;
-            const newHigh = center + halfBW;
+    // Move both sliders (and the cutoffs with them); a recording lane picks the move up
+    const moveSliders = (low, high) => {
+        const lowHz = toLog(low, MIN_FREQ, MAX_FREQ);
+        const highHz = toLog(high, MIN_FREQ, MAX_FREQ);
+        setLowSlider(low);
+        setHighSlider(high);
+        setFrequencyRange(lowHz, highHz);
+        recordPoint(lowHz, highHz);
+    };
 
-            setLowSlider(newLow);
-            setHighSlider(newHigh);
+    // Automation lane (per track): record Low/High Cut moves and the sweep against the
+    // track position, then replay them in sync
+    const {
+        automationMode,
+        lane,
+        recordPoint,
+        commitLane,
+        changeAutomationMode: changeLaneMode,
+        stopLanePlayback,
+        switchLane
+    } = useAutomationLane(engine, automation, { onFrame: showRange });
+
+    // Hypnosis Sweep: the sliders follow it (and a recording lane picks it up)
+    const { isSweepEnabled, sweepConfig, enableSweep, disableSweep, changeSweepConfig } = useSweep(engine, {
+        onFrame: (minHz, maxHz) => {
+            showRange(minHz, maxHz);
+            recordPoint(minHz, maxHz);
+        },
+        onStop: showRange
+    });
+
+    const toggleSweep = () => {
+        if (isSweepEnabled) {
+            disableSweep();
+            return;
+        }
+        stopLanePlayback();
+        // Start with the bandwidth currently dialed in on the sliders
+        enableSweep({ bandwidth: highSlider - lowSlider });
+    };
 
-            const lowHz = toLog(newLow, MIN_FREQ, MAX_FREQ);
-            const highHz = toLog(newHigh, MIN_FREQ, MAX_FREQ);
-            setFrequencyRange(lowHz, highHz);
-        }, 50); // ~20fps for battery efficiency
+    const changeAutomationMode = (mode) => {
+        if (mode === 'play') disableSweep(); // The lane drives the cutoffs now
+        changeLaneMode(mode);
+    };
 
-        return () => clearInterval(sweepInterval);
-    }, [isSweepEnabled]);
+    // A/B loop (track seconds). The markers on the progress bar can be dragged.
+    const {
+        loopRegion,
+        isLoopEnabled,
+        shownLoop,
+        savedLoops,
+        clearLoop,
+        toggleLoop,
+        setLoopIn,
+        setLoopOut,
+        selectSavedLoop,
+        selectLoop,
+        saveLoop,
+        deleteLoop,
+        startMarkerDrag,
+        moveMarker,
+        endMarkerDrag,
+        cancelMarkerDrag
+    } = useLoop(engine, loopRegionsStore, currentTrack ? currentTrack.id : null);
 
     // If a track is passed from props (Library), load it
     // We use a simple effect or just react to changes
@@ -74,54 +193,105 @@ export default function Player({ currentTrack, onNext, onPrev }) {
         const file = e.target.files[0];
         if (file) {
             setLocalFilename(file.name);
+            switchLane(null);
+            clearLoop();
             loadFile(file);
         }
     };
 
-    // Listen for track changes from Library
-    useEffect(() => {
-        async function loadTrack() {
-            if (!currentTrack) return;
+    // Live input instead of the file, and recording of the processed output
+    const { devices: inputDevices, inputDeviceId, isMonitorMuted, startLive, stopLive, changeMonitorMuted, toggleRecording } = useLiveInput(engine);
 
-            // If we have a file blob, use it
-            if (currentTrack.file) {
-                loadFile(currentTrack.file);
-                return;
-            }
+    // Recordings are named after the source and the band
+    const recordingName = () => {
+        const source = isLive ? 'Live Input' : (currentTrack ? currentTrack.filename : localFilename) || 'recording';
+        const bandLabel = `${Math.round(toLog(lowSlider, MIN_FREQ, MAX_FREQ))}-${Math.round(toLog(highSlider, MIN_FREQ, MAX_FREQ))}Hz`;
+        return `${source.replace(/\.[^/.]+$/, '')} [${bandLabel}]`;
+    };
 
-            // If we have a fileHandle, retrieve the file blob
-            if (currentTrack.fileHandle) {
-                try {
-                    const opts = { mode: 'read' };
-                    if ((await currentTrack.fileHandle.queryPermission(opts)) !== 'granted') {
-                        if ((await currentTrack.fileHandle.requestPermission(opts)) !== 'granted') {
-                            console.error("Permission denied to play file handle");
-                            return;
-                        }
-                    }
-                    const file = await currentTrack.fileHandle.getFile();
-                    loadFile(file);
-                } catch (err) {
-                    console.error("Error loading file from handle:", err);
-                }
-            }
+    // Presets (and remembered settings) glide the sliders to their range, moving the cutoffs along
+    const { presets, createPreset, renamePreset, deletePreset } = usePresets();
+    const { glide, cancelGlide } = useGlide();
+
+    const glideTo = (targetLow, targetHigh, onDone) => {
+        glide([lowSlider, highSlider], [targetLow, targetHigh], moveSliders, onDone);
+    };
+
+    // Settings shape shared by presets, per-track memory and the global default
+    const applySettings = (settings) => {
+        disableSweep();
+        const targetLow = toLinear(settings.lowHz, MIN_FREQ, MAX_FREQ);
+        const targetHigh = toLinear(settings.highHz, MIN_FREQ, MAX_FREQ);
+        glideTo(targetLow, targetHigh, () => {
+            if (!settings.sweep?.enabled) return;
+            const { enabled: _enabled, ...config } = settings.sweep;
+            enableSweep({ bandwidth: targetHigh - targetLow, ...config });
+        });
+    };
+
+    const currentSettings = () => ({
+        lowHz: toLog(lowSlider, MIN_FREQ, MAX_FREQ),
+        highHz: toLog(highSlider, MIN_FREQ, MAX_FREQ),
+        sweep: { enabled: isSweepEnabled, ...sweepConfig }
+    });
+
+    const saveCurrentAsPreset = (name) => createPreset(name, currentSettings());
+
+    // A preset picked by hand takes over from lane playback, like a slider move
+    const applyPreset = (preset) => {
+        stopLanePlayback();
+        applySettings(preset);
+    };
+
+    // Per-track memory: while enabled for the current track, keep its entry in sync.
+    // While sweeping the sliders move constantly; only the "sweep on" state matters then.
+    const settingsKey = isSweepEnabled ? `sweep:${JSON.stringify(sweepConfig)}` : `${lowSlider}:${highSlider}`;
+    const { isRemembered, toggleRemember, settingsFor, saveAsDefault } = useRememberedSettings(
+        trackSettingsStore,
+        currentTrack ? currentTrack.id : null,
+        currentSettings,
+        settingsKey
+    );
+
+    // Library track changes: its lane, remembered settings and file
+    const loadTrack = useEffectEvent(async (track) => {
+        forgetPreload();
+        const isLaneDriven = switchLane(track.id);
+        clearLoop();
+
+        // Restore this track's remembered range, else the global default
+        // (unless its automation lane is about to drive the cutoffs)
+        if (!isLaneDriven) applySettings(settingsFor(track.id));
+
+        // Use the file blob, or retrieve it from the fileHandle. The id lets the engine
+        // skip the load when a gapless transition already started this track.
+        try {
+            const file = await trackFile(track, true);
+            if (file) loadFile(file, track.id);
+            else if (track.fileHandle) console.error("Permission denied to play file handle");
+        } catch (err) {
+            console.error("Error loading file from handle:", err);
         }
+    });
 
-        loadTrack();
+    useEffect(() => {
+        if (currentTrack) loadTrack(currentTrack);
     }, [currentTrack]);
 
     // Auto-play when ready if it was already playing or if it's a new track from next/prev
+    // (not over a live input)
+    const autoPlay = useEffectEvent(() => {
+        if (!isPlaying && !isLive) play();
+    });
+
     useEffect(() => {
-        if (isReady && !isPlaying && currentTrack) {
-            // Check if we should auto-play. For auto-proceed, we usually want it to play.
-            // We can add a more sophisticated check here if needed.
-            play();
-        }
+        if (isReady && currentTrack) autoPlay();
     }, [isReady, currentTrack]);
 
-
     const handleRangeChange = (type, sliderVal) => {
-        if (isSweepEnabled) setIsSweepEnabled(false); // Disable sweep on manual move
+        cancelGlide(); // Manual move wins over a preset glide
+        if (isSweepEnabled) disableSweep(); // Disable sweep on manual move
+        stopLanePlayback(); // ...and lane playback
         const val = Number(sliderVal);
 
         if (type === 'low') {
@@ -133,6 +303,7 @@ export default function Player({ currentTrack, onNext, onPrev }) {
             if (potentialLowHz < currentHighHz) {
                 setLowSlider(val);
                 setFrequencyRange(potentialLowHz, currentHighHz);
+                recordPoint(potentialLowHz, currentHighHz);
             }
         } else {
             const potentialHighHz = toLog(val, MIN_FREQ, MAX_FREQ);
@@ -141,17 +312,134 @@ export default function Player({ currentTrack, onNext, onPrev }) {
             if (potentialHighHz > currentLowHz) {
                 setHighSlider(val);
                 setFrequencyRange(currentLowHz, potentialHighHz);
+                recordPoint(currentLowHz, potentialHighHz);
             }
         }
     };
 
+    // Both cutoffs at once (slider units), e.g. from a MIDI band center / width control
+    const moveCutoffs = (low, high) => {
+        cancelGlide();
+        if (isSweepEnabled) disableSweep();
+        stopLanePlayback();
+        moveSliders(low, high);
+    };
+
+    // Progress bar scrubbing: preview while dragging, seek on release
+    const progressBarRef = useRef(null);
+    const [scrubTime, setScrubTime] = useState(null);
+
+    const timeFromPointer = (e) => {
+        const rect = progressBarRef.current.getBoundingClientRect();
+        const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        return ratio * duration;
+    };
+
+    const handleScrubStart = (e) => {
+        if (!isReady) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setScrubTime(timeFromPointer(e));
+    };
+
+    const handleScrubMove = (e) => {
+        if (scrubTime === null) return;
+        setScrubTime(timeFromPointer(e));
+    };
+
+    const handleScrubEnd = (e) => {
+        if (scrubTime === null) return;
+        seek(timeFromPointer(e));
+        setScrubTime(null);
+    };
+
+    const skip = (delta) => seek(currentTime + delta);
+
+    const handleMarkerDown = (e, edge) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        startMarkerDrag(edge);
+    };
+
+    const handleMarkerMove = (e) => moveMarker(timeFromPointer(e));
+
+    // Filter mode and the extra bands of multi-band mode (kept across tracks)
+    const { filterMode, mainBand, bands, changeFilterMode, changeMainBand, addBand, changeBand, removeBand } = useBands(engine);
+
+    // Slope / topology / resonance of the cutoff filters, and biquad or linear-phase filtering
+    const { filterDesign, changeFilterDesign, phaseMode, changePhaseMode, linearTaps, changeLinearTaps } = useFilterShape(engine);
+
+    // Output trim and loudness compensation
+    const { outputGainDb, changeOutputGain, isAutoGain, changeAutoGain } = useOutputLevel(engine);
+
+    // Stereo stage ahead of the filters
+    const { stereo, changeStereo } = useStereo(engine);
+
+
+    // Playback speed / pitch shift (kept across tracks)
+    const { tempo, changeTempo } = useTempo(engine);
+
+    // Headset buttons / OS media keys, and the keyboard map
+    useMediaSession({
+        track: currentTrack,
+        isPlaying,
+        duration: isReady ? duration : 0,
+        position: currentTime,
+        playbackRate: tempo.speed,
+        handlers: { play, pause, next: onNext, prev: onPrev, seekTo: seek, seekBy: skip }
+    });
+
+    const nudgeCutoff = (type, delta) => {
+        const value = (type === 'low' ? lowSlider : highSlider) + delta;
+        handleRangeChange(type, Math.min(100, Math.max(0, value)));
+    };
+
+    const shortcutHandlers = {
+        playPause: () => (isPlaying ? pause() : play()),
+        seekBack: () => skip(-SEEK_STEP),
+        seekForward: () => skip(SEEK_STEP),
+        lowCutDown: () => nudgeCutoff('low', -NUDGE_STEP),
+        lowCutUp: () => nudgeCutoff('low', NUDGE_STEP),
+        highCutDown: () => nudgeCutoff('high', -NUDGE_STEP),
+        highCutUp: () => nudgeCutoff('high', NUDGE_STEP),
+        toggleSweep: () => { if (isReady || isLive) toggleSweep(); }
+    };
+    for (let i = 0; i < PRESET_SHORTCUT_COUNT; i++) {
+        shortcutHandlers[`preset${i + 1}`] = () => { if (presets[i]) applyPreset(presets[i]); };
+    }
+    const { shortcuts, capturing, startCapture, cancelCapture, resetShortcuts } = useKeyboardShortcuts(shortcutHandlers);
+
+    // MIDI controller: knobs / faders move the cutoffs (slider positions), buttons act on press
+    const midi = useMidiMapping({
+        lowCut: (position) => handleRangeChange('low', position),
+        highCut: (position) => handleRangeChange('high', position),
+        bandCenter: (position) => {
+            const { low, high } = bandToCutoffs(position, highSlider - lowSlider);
+            moveCutoffs(low, high);
+        },
+        bandWidth: (position) => {
+            const { low, high } = bandToCutoffs((lowSlider + highSlider) / 2, position);
+            moveCutoffs(low, high);
+        },
+        toggleSweep: shortcutHandlers.toggleSweep,
+        playPause: shortcutHandlers.playPause,
+        next: onNext,
+        prev: onPrev
+    });
+
+    // Waveform overview: full range plus the part the current filter keeps
+    const { overview, bandOverview } = useWaveform(
+        isReady ? getAudioBuffer() : null,
+        currentTrack ? currentTrack.id : null,
+        passRanges(filterMode, {
+            minHz: toLog(lowSlider, MIN_FREQ, MAX_FREQ),
+            maxHz: toLog(highSlider, MIN_FREQ, MAX_FREQ)
+        }, mainBand, bands)
+    );
+    const percentOf = (t) => `${duration ? (t / duration) * 100 : 0}%`;
+
     // Helpers for display
     const getHz = (sliderVal) => Math.round(toLog(sliderVal, MIN_FREQ, MAX_FREQ));
-    const formatTime = (t) => {
-        const mins = Math.floor(t / 60);
-        const secs = Math.floor(t % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    };
+    const displayTime = scrubTime !== null ? scrubTime : currentTime;
 
     return (
         <div className="player-container">
@@ -169,55 +457,261 @@ export default function Player({ currentTrack, onNext, onPrev }) {
             {/* Track Info (from Library) */}
             {currentTrack && (
                 <div className="track-info-display">
+                    <Artwork blob={currentTrack.artwork} size={120} className="player-artwork" />
                     <h2>{currentTrack.title || currentTrack.filename}</h2>
                     <p>{currentTrack.artist || 'Unknown Artist'}</p>
+                    {currentTrack.album && currentTrack.album !== 'Unknown Album' && (
+                        <p className="track-album">{currentTrack.album}</p>
+                    )}
                 </div>
             )}
 
+            <LiveInputControls
+                isLive={isLive}
+                devices={inputDevices}
+                deviceId={inputDeviceId}
+                onStart={startLive}
+                onStop={stopLive}
+                isMonitorMuted={isMonitorMuted}
+                onMonitorMutedChange={changeMonitorMuted}
+                isRecording={isRecording}
+                canRecord={isReady || isLive}
+                onToggleRecording={() => toggleRecording(recordingName())}
+            />
+
+            <WaveformOverview
+                overview={overview}
+                bandOverview={bandOverview}
+                duration={duration}
+                currentTime={currentTime}
+                isPlaying={isPlaying}
+                loopRegion={shownLoop}
+                isLoopEnabled={isLoopEnabled}
+                onSeek={seek}
+                onLoopSelect={selectLoop}
+                disabled={!isReady}
+                isUnavailable={isStreaming}
+            />
+
             {/* Main Controls */}
             <div className="main-controls">
+                {onToggleShuffle && (
+                    <button
+                        className={`mode-btn ${shuffle ? 'active' : ''}`}
+                        onClick={onToggleShuffle}
+                        title={shuffle ? 'Shuffle on' : 'Shuffle off'}
+                    >
+                        ⤮
+                    </button>
+                )}
                 <button className="nav-btn" onClick={onPrev} disabled={!onPrev}>|&lt;</button>
                 <button
                     className={`play-btn ${isPlaying ? 'active' : ''}`}
                     onClick={isPlaying ? pause : play}
-                    disabled={!isReady}
+                    disabled={!isReady || isLive}
+                    title={isLive ? 'Stop the live input to play the track' : undefined}
                 >
                     {isPlaying ? 'PAUSE' : 'PLAY'}
                 </button>
                 <button className="nav-btn" onClick={onNext} disabled={!onNext}>&gt;|</button>
+                {onCycleRepeat && (
+                    <button
+                        className={`mode-btn ${repeatMode !== 'off' ? 'active' : ''}`}
+                        onClick={onCycleRepeat}
+                        title={REPEAT_LABELS[repeatMode]}
+                    >
+                        {repeatMode === 'one' ? '↻1' : '↻'}
+                    </button>
+                )}
             </div>
 
             {/* Extra Effects */}
             <div className="effects-row">
                 <button
                     className={`sweep-toggle ${isSweepEnabled ? 'active' : ''}`}
-                    onClick={() => setIsSweepEnabled(!isSweepEnabled)}
-                    disabled={!isReady}
+                    onClick={toggleSweep}
+                    disabled={!isReady && !isLive}
                 >
                     {isSweepEnabled ? '🌀 Sweep Active' : '✨ Hypnosis Sweep'}
                 </button>
             </div>
 
+            <SweepControls
+                config={sweepConfig}
+                onChange={changeSweepConfig}
+            />
+
+            <ExportPanel
+                trackName={currentTrack ? currentTrack.filename : localFilename}
+                duration={isReady ? duration : 0}
+                lowHz={toLog(lowSlider, MIN_FREQ, MAX_FREQ)}
+                highHz={toLog(highSlider, MIN_FREQ, MAX_FREQ)}
+                getPosition={getPosition}
+                exportAudio={exportAudio}
+                automation={lane}
+                isLinearPhase={phaseMode === 'linear'}
+                isStreaming={isStreaming}
+            />
+
+            <ShortcutSettings
+                shortcuts={shortcuts}
+                capturing={capturing}
+                onCapture={startCapture}
+                onCancelCapture={cancelCapture}
+                onReset={resetShortcuts}
+            />
+
+            <MidiControls
+                status={midi.status}
+                inputs={midi.inputs}
+                mappings={midi.mappings}
+                learning={midi.learning}
+                onEnable={midi.enable}
+                onDisable={midi.disable}
+                onLearn={midi.learn}
+                onClear={midi.clearMapping}
+                onClearAll={midi.clearAll}
+            />
+
             {/* Time Display */}
             <div className="time-display">
-                <span>{formatTime(currentTime)}</span>
-                <div className="progress-bar">
+                <span>{formatTime(displayTime)}</span>
+                <div className="progress-track">
                     <div
-                        className="progress-fill"
-                        style={{ width: `${(currentTime / duration) * 100}%` }}
-                    />
+                        ref={progressBarRef}
+                        className={`progress-bar ${isReady ? 'seekable' : ''}`}
+                        onPointerDown={handleScrubStart}
+                        onPointerMove={handleScrubMove}
+                        onPointerUp={handleScrubEnd}
+                        onPointerCancel={() => setScrubTime(null)}
+                    >
+                        {shownLoop && (
+                            <div
+                                className={`loop-region ${isLoopEnabled ? 'active' : ''}`}
+                                style={{ left: percentOf(shownLoop.start), width: percentOf(shownLoop.end - shownLoop.start) }}
+                            />
+                        )}
+                        <div
+                            className={`progress-fill ${scrubTime !== null ? 'scrubbing' : ''}`}
+                            style={{ width: percentOf(displayTime) }}
+                        />
+                    </div>
+                    {shownLoop && ['start', 'end'].map(edge => (
+                        <div
+                            key={edge}
+                            className="loop-marker"
+                            style={{ left: percentOf(shownLoop[edge]) }}
+                            onPointerDown={(e) => handleMarkerDown(e, edge)}
+                            onPointerMove={handleMarkerMove}
+                            onPointerUp={endMarkerDrag}
+                            onPointerCancel={cancelMarkerDrag}
+                        />
+                    ))}
                 </div>
                 <span>{formatTime(duration)}</span>
             </div>
 
+            <AutomationLane
+                points={lane}
+                duration={duration}
+                currentTime={displayTime}
+                mode={automationMode}
+                onModeChange={changeAutomationMode}
+                onChange={commitLane}
+                fallbackRange={{
+                    minHz: toLog(lowSlider, MIN_FREQ, MAX_FREQ),
+                    maxHz: toLog(highSlider, MIN_FREQ, MAX_FREQ)
+                }}
+                disabled={!isReady}
+            />
+
+            <LoopControls
+                region={loopRegion}
+                isEnabled={isLoopEnabled}
+                savedRegions={savedLoops}
+                canSave={Boolean(currentTrack)}
+                disabled={!isReady}
+                onSetIn={setLoopIn}
+                onSetOut={setLoopOut}
+                onToggle={toggleLoop}
+                onClear={clearLoop}
+                onSave={saveLoop}
+                onSelect={selectSavedLoop}
+                onDelete={deleteLoop}
+            />
+
+            {/* Skip Controls */}
+            <div className="skip-controls">
+                <button className="skip-btn" onClick={() => skip(-30)} disabled={!isReady}>-30s</button>
+                <button className="skip-btn" onClick={() => skip(-5)} disabled={!isReady}>-5s</button>
+                <button className="skip-btn" onClick={() => skip(5)} disabled={!isReady}>+5s</button>
+                <button className="skip-btn" onClick={() => skip(30)} disabled={!isReady}>+30s</button>
+            </div>
+
+            <SpeedControls
+                speed={tempo.speed}
+                semitones={tempo.semitones}
+                preservePitch={tempo.preservePitch}
+                canShiftPitch={canShiftPitch}
+                disabled={!isReady}
+                onChange={changeTempo}
+            />
+
+            <CrossfadeControls seconds={crossfade} onChange={changeCrossfade} />
+
+            <OutputControls
+                getLevels={getLevels}
+                outputGainDb={outputGainDb}
+                onOutputGainChange={changeOutputGain}
+                isAutoGain={isAutoGain}
+                onAutoGainChange={changeAutoGain}
+                disabled={!isReady}
+            />
+
             {/* Frequency Isolator (Logarithmic) */}
             <div className="isolator-section">
                 <h3>Frequency Isolator</h3>
 
+                <BandControls
+                    mode={filterMode}
+                    onModeChange={changeFilterMode}
+                    mainBand={mainBand}
+                    onMainBandChange={changeMainBand}
+                    bands={bands}
+                    onAddBand={addBand}
+                    onBandChange={changeBand}
+                    onRemoveBand={removeBand}
+                />
+
+                <StereoControls
+                    mode={stereo.mode}
+                    balance={stereo.balance}
+                    onChange={changeStereo}
+                />
+
+                <FilterShapeControls
+                    design={filterDesign}
+                    onChange={changeFilterDesign}
+                    phaseMode={phaseMode}
+                    onPhaseModeChange={changePhaseMode}
+                    linearTaps={linearTaps}
+                    onLinearTapsChange={changeLinearTaps}
+                    latency={filterLatency}
+                />
+
+                <SpectrumAnalyzer
+                    analyser={analyser}
+                    lowHz={toLog(lowSlider, MIN_FREQ, MAX_FREQ)}
+                    highHz={toLog(highSlider, MIN_FREQ, MAX_FREQ)}
+                    mode={filterMode}
+                    mainBand={mainBand}
+                    bands={bands}
+                />
+
                 <div className="sliders-container">
                     {/* Low Cut Slider */}
                     <div className="slider-group">
-                        <label>Low Cut ({getHz(lowSlider)} Hz)</label>
+                        <label>{filterMode === 'reject' ? 'Reject From' : 'Low Cut'} ({getHz(lowSlider)} Hz)</label>
                         <input
                             type="range"
                             min={0}
@@ -231,7 +725,7 @@ export default function Player({ currentTrack, onNext, onPrev }) {
 
                     {/* High Cut Slider */}
                     <div className="slider-group">
-                        <label>High Cut ({getHz(highSlider)} Hz)</label>
+                        <label>{filterMode === 'reject' ? 'Reject To' : 'High Cut'} ({getHz(highSlider)} Hz)</label>
                         <input
                             type="range"
                             min={0}
@@ -247,6 +741,29 @@ export default function Player({ currentTrack, onNext, onPrev }) {
                 <p className="hint-text">
                     Bandwidth: <strong>{getHz(highSlider) - getHz(lowSlider)} Hz</strong>
                 </p>
+
+                <div className="memory-row">
+                    <label className="remember-toggle">
+                        <input
+                            type="checkbox"
+                            checked={isRemembered}
+                            onChange={(e) => toggleRemember(e.target.checked)}
+                            disabled={!currentTrack}
+                        />
+                        Remember settings for this track
+                    </label>
+                    <button className="default-btn" onClick={saveAsDefault}>
+                        Set as Default
+                    </button>
+                </div>
+
+                <PresetBar
+                    presets={presets}
+                    onApply={applyPreset}
+                    onSave={saveCurrentAsPreset}
+                    onRename={renamePreset}
+                    onDelete={deletePreset}
+                />
             </div>
         </div>
     );
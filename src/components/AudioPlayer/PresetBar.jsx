@@ -0,0 +1,41 @@
+import './PresetBar.css';
+
+// One-click preset chips; user presets can be renamed or deleted
+export default function PresetBar({ presets, onApply, onSave, onRename, onDelete }) {
+    const handleSave = () => {
+        const name = prompt("Preset name:");
+        if (name && name.trim()) onSave(name.trim());
+    };
+
+    const handleRename = (preset) => {
+        const name = prompt("Rename preset:", preset.name);
+        if (name && name.trim()) onRename(preset.id, name.trim());
+    };
+
+    const handleDelete = (preset) => {
+        if (confirm(`Delete preset "${preset.name}"?`)) onDelete(preset.id);
+    };
+
+    return (
+        <div className="preset-bar">
+            {presets.map(preset => (
+                <div key={preset.id} className={`preset-chip ${preset.builtIn ? 'built-in' : ''}`}>
+                    <button
+                        className="preset-apply"
+                        onClick={() => onApply(preset)}
+                        title={`${Math.round(preset.lowHz)}–${Math.round(preset.highHz)} Hz${preset.sweep?.enabled ? ' + sweep' : ''}`}
+                    >
+                        {preset.name}
+                    </button>
+                    {!preset.builtIn && (
+                        <>
+                            <button className="preset-action" onClick={() => handleRename(preset)} title="Rename">✎</button>
+                            <button className="preset-action" onClick={() => handleDelete(preset)} title="Delete">×</button>
+                        </>
+                    )}
+                </div>
+            ))}
+            <button className="preset-save" onClick={handleSave}>+ Save Current</button>
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+import { SHORTCUT_ACTIONS, formatCombo } from '../../utils/keyboardShortcuts';
+import './ShortcutSettings.css';
+
+// Key map editor: click a binding, then press the new key (Escape cancels)
+export default function ShortcutSettings({ shortcuts, capturing, onCapture, onCancelCapture, onReset }) {
+    return (
+        <details className="shortcut-settings" onToggle={(e) => { if (!e.currentTarget.open) onCancelCapture(); }}>
+            <summary>Keyboard Shortcuts</summary>
+
+            <div className="shortcut-grid">
+                {SHORTCUT_ACTIONS.map(action => (
+                    <div key={action.id} className="shortcut-row">
+                        <span>{action.label}</span>
+                        <button
+                            className={capturing === action.id ? 'capturing' : ''}
+                            onClick={() => (capturing === action.id ? onCancelCapture() : onCapture(action.id))}
+                        >
+                            {capturing === action.id ? 'Press a key…' : formatCombo(shortcuts[action.id])}
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <div className="shortcut-footer">
+                <p>Presets are numbered in the order of the preset bar. Shortcuts are ignored while typing in a field.</p>
+                <button onClick={onReset}>Reset to Defaults</button>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,136 @@
+import { useEffect, useRef } from 'react';
+import { useEffectEvent } from '../../hooks/useEffectEvent';
+import { toLog, toLinear, MIN_FREQ, MAX_FREQ } from '../../utils/audioMath';
+import './SpectrumAnalyzer.css';
+
+const GRID_FREQS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const MIN_DB = -100;
+const MAX_DB = -20;
+
+const formatFreq = (hz) => (hz >= 1000 ? `${hz / 1000}k` : `${hz}`);
+
+// Frequency ranges that pass for a filter mode (see FILTER_MODES in useAudioEngine)
+const keptRanges = ({ lowHz, highHz, mode, mainBand, bands }) => {
+    if (mode === 'reject') return [[MIN_FREQ, lowHz], [highHz, MAX_FREQ]];
+    if (mode !== 'multi') return [[lowHz, highHz]];
+    const all = [{ ...mainBand, lowHz, highHz }, ...bands];
+    const anySolo = all.some(b => b.solo);
+    return all.filter(b => !b.muted && (!anySolo || b.solo)).map(b => [b.lowHz, b.highHz]);
+};
+
+// Canvas spectrum on the same log axis as the isolator sliders.
+// The analyser sits after the filter cascade, so the curve shows what is left;
+// the shaded areas mark what the current filter mode is removing.
+export default function SpectrumAnalyzer({ analyser, lowHz, highHz, mode = 'pass', mainBand = null, bands = [] }) {
+    const canvasRef = useRef(null);
+    const animationFrameRef = useRef(null);
+
+    // Latest cutoffs for the draw loop, so it doesn't restart on every slider move
+    const getCutoffs = useEffectEvent(() => ({ lowHz, highHz, mode, mainBand, bands }));
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const ctx2d = canvas.getContext('2d');
+        const data = analyser ? new Float32Array(analyser.frequencyBinCount) : null;
+
+        const draw = () => {
+            // Match backing store to layout size (crisp on HiDPI)
+            const dpr = window.devicePixelRatio || 1;
+            const width = Math.round(canvas.clientWidth * dpr);
+            const height = Math.round(canvas.clientHeight * dpr);
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+
+            ctx2d.clearRect(0, 0, width, height);
+            const xForHz = (hz) => (toLinear(hz, MIN_FREQ, MAX_FREQ) / 100) * width;
+
+            // Grid
+            ctx2d.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx2d.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx2d.font = `${10 * dpr}px monospace`;
+            ctx2d.lineWidth = 1;
+            GRID_FREQS.forEach(hz => {
+                const x = Math.round(xForHz(hz)) + 0.5;
+                ctx2d.beginPath();
+                ctx2d.moveTo(x, 0);
+                ctx2d.lineTo(x, height);
+                ctx2d.stroke();
+                ctx2d.fillText(formatFreq(hz), x + 3 * dpr, height - 4 * dpr);
+            });
+
+            // Spectrum
+            if (analyser && data) {
+                analyser.getFloatFrequencyData(data);
+                const nyquist = analyser.context.sampleRate / 2;
+                const binHz = nyquist / data.length;
+
+                const gradient = ctx2d.createLinearGradient(0, 0, width, 0);
+                gradient.addColorStop(0, 'rgba(0, 240, 255, 0.8)');
+                gradient.addColorStop(1, 'rgba(188, 19, 254, 0.8)');
+
+                ctx2d.beginPath();
+                ctx2d.moveTo(0, height);
+                for (let x = 0; x < width; x++) {
+                    // Each pixel column covers a log-spaced slice of bins; take its peak
+                    const fromHz = toLog((x / width) * 100, MIN_FREQ, MAX_FREQ);
+                    const toHz = toLog(((x + 1) / width) * 100, MIN_FREQ, MAX_FREQ);
+                    const fromBin = Math.min(Math.floor(fromHz / binHz), data.length - 1);
+                    const toBin = Math.min(Math.max(Math.floor(toHz / binHz), fromBin), data.length - 1);
+
+                    let peak = -Infinity;
+                    for (let b = fromBin; b <= toBin; b++) peak = Math.max(peak, data[b]);
+
+                    const norm = Math.min(Math.max((peak - MIN_DB) / (MAX_DB - MIN_DB), 0), 1);
+                    ctx2d.lineTo(x, height - norm * height);
+                }
+                ctx2d.lineTo(width, height);
+                ctx2d.closePath();
+                ctx2d.fillStyle = gradient;
+                ctx2d.fill();
+            }
+
+            // Filtered-out regions (everything outside the kept ranges) + main cutoff markers
+            const cutoffs = getCutoffs();
+            const { lowHz: low, highHz: high } = cutoffs;
+            const lowX = xForHz(Math.max(low, MIN_FREQ));
+            const highX = xForHz(Math.min(high, MAX_FREQ));
+
+            const kept = keptRanges(cutoffs)
+                .map(([from, to]) => [xForHz(Math.max(from, MIN_FREQ)), xForHz(Math.min(to, MAX_FREQ))])
+                .sort((a, b) => a[0] - b[0]);
+            ctx2d.fillStyle = 'rgba(5, 5, 16, 0.65)';
+            let shadeFrom = 0;
+            kept.forEach(([fromX, toX]) => {
+                if (fromX > shadeFrom) ctx2d.fillRect(shadeFrom, 0, fromX - shadeFrom, height);
+                shadeFrom = Math.max(shadeFrom, toX);
+            });
+            if (shadeFrom < width) ctx2d.fillRect(shadeFrom, 0, width - shadeFrom, height);
+
+            ctx2d.lineWidth = 2 * dpr;
+            ctx2d.strokeStyle = '#00f0ff';
+            ctx2d.beginPath();
+            ctx2d.moveTo(lowX, 0);
+            ctx2d.lineTo(lowX, height);
+            ctx2d.stroke();
+
+            ctx2d.strokeStyle = '#bc13fe';
+            ctx2d.beginPath();
+            ctx2d.moveTo(highX, 0);
+            ctx2d.lineTo(highX, height);
+            ctx2d.stroke();
+
+            animationFrameRef.current = requestAnimationFrame(draw);
+        };
+        draw();
+
+        return () => cancelAnimationFrame(animationFrameRef.current);
+    }, [analyser]);
+
+    return (
+        <div className="spectrum-analyzer">
+            <canvas ref={canvasRef} className="spectrum-canvas" />
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from '../../hooks/useAudioEngine';
+import './SpeedControls.css';
+
+const SPEED_PRESETS = [0.5, 0.75, 1, 1.25, 1.5];
+
+// Playback speed and pitch shift (pitch is kept at any speed unless "Keep pitch" is off)
+export default function SpeedControls({ speed, semitones, preservePitch, canShiftPitch, disabled, onChange }) {
+    return (
+        <div className="speed-controls">
+            <div className="speed-row">
+                <label>Speed {speed.toFixed(2)}x</label>
+                <input
+                    type="range"
+                    min={MIN_PLAYBACK_RATE}
+                    max={MAX_PLAYBACK_RATE}
+                    step={0.05}
+                    value={speed}
+                    onChange={(e) => onChange({ speed: Number(e.target.value) })}
+                    disabled={disabled}
+                />
+                <div className="speed-presets">
+                    {SPEED_PRESETS.map(rate => (
+                        <button
+                            key={rate}
+                            className={speed === rate ? 'active' : ''}
+                            onClick={() => onChange({ speed: rate })}
+                            disabled={disabled}
+                        >
+                            {rate}x
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="speed-row">
+                <label>Pitch {semitones > 0 ? '+' : ''}{semitones} st</label>
+                <input
+                    type="range"
+                    min={-12}
+                    max={12}
+                    step={1}
+                    value={semitones}
+                    onChange={(e) => onChange({ semitones: Number(e.target.value) })}
+                    disabled={disabled || !canShiftPitch}
+                    onDoubleClick={() => onChange({ semitones: 0 })}
+                />
+                <label className="speed-check">
+                    <input
+                        type="checkbox"
+                        checked={preservePitch && canShiftPitch}
+                        onChange={(e) => onChange({ preservePitch: e.target.checked })}
+                        disabled={disabled || !canShiftPitch}
+                    />
+                    Keep pitch
+                </label>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,41 @@
+import './StereoControls.css';
+
+const MODE_LABELS = { stereo: 'Stereo', left: 'L', right: 'R', mono: 'Mono', mid: 'Mid', side: 'Side' };
+
+// Stereo stage ahead of the filters: channel solo, mono / mid / side, and a mid-side balance
+export default function StereoControls({ mode, balance, onChange }) {
+    const balanceLabel = balance === 0 ? 'Centre' : `${Math.round(Math.abs(balance) * 100)}% ${balance < 0 ? 'Mid' : 'Side'}`;
+
+    return (
+        <div className="stereo-controls">
+            <div className="stereo-modes">
+                {Object.entries(MODE_LABELS).map(([value, label]) => (
+                    <button
+                        key={value}
+                        className={mode === value ? 'active' : ''}
+                        onClick={() => onChange({ mode: value })}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'stereo' && (
+                <div className="stereo-balance">
+                    <span>Mid</span>
+                    <input
+                        type="range"
+                        min={-1}
+                        max={1}
+                        step={0.01}
+                        value={balance}
+                        onChange={(e) => onChange({ balance: Number(e.target.value) })}
+                        onDoubleClick={() => onChange({ balance: 0 })}
+                    />
+                    <span>Side</span>
+                    <span className="stereo-balance-value">{balanceLabel}</span>
+                </div>
+            )}
+        </div>
+    );
+}
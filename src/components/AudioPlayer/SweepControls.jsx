@@ -0,0 +1,145 @@
+import { useRef } from 'react';
+import { toLog, MIN_FREQ, MAX_FREQ } from '../../utils/audioMath';
+import { SWEEP_WAVEFORMS, sweepRateHz } from '../../utils/sweep';
+import './SweepControls.css';
+
+const BEAT_OPTIONS = [1, 2, 4, 8, 16, 32, 64];
+// Taps further apart than this start a new tempo measurement
+const TAP_RESET_MS = 2000;
+// Slider units per octave on the 20Hz-20kHz log scale
+const UNITS_PER_OCTAVE = 100 / Math.log2(MAX_FREQ / MIN_FREQ);
+
+const formatHz = (pos) => {
+    const hz = toLog(pos, MIN_FREQ, MAX_FREQ);
+    return hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`;
+};
+
+// Settings for the Hypnosis Sweep; changes apply live while it runs
+export default function SweepControls({ config, onChange }) {
+    const tapsRef = useRef([]);
+
+    const handleTap = () => {
+        const now = performance.now();
+        const taps = tapsRef.current;
+        if (taps.length && now - taps[taps.length - 1] > TAP_RESET_MS) taps.length = 0;
+        taps.push(now);
+        if (taps.length > 5) taps.shift(); // Average over the last few taps
+
+        if (taps.length >= 2) {
+            const interval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+            onChange({ bpm: Math.round(60000 / interval), rateMode: 'sync' });
+        }
+    };
+
+    const period = 1 / sweepRateHz(config);
+
+    return (
+        <details className="sweep-controls">
+            <summary>Sweep Settings</summary>
+
+            <div className="sweep-row">
+                <label>Shape</label>
+                <div className="sweep-options">
+                    {SWEEP_WAVEFORMS.map(shape => (
+                        <button
+                            key={shape}
+                            className={config.waveform === shape ? 'active' : ''}
+                            onClick={() => onChange({ waveform: shape })}
+                        >
+                            {shape}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="sweep-row">
+                <label>Rate</label>
+                <div className="sweep-options">
+                    <button
+                        className={config.rateMode === 'hz' ? 'active' : ''}
+                        onClick={() => onChange({ rateMode: 'hz' })}
+                    >
+                        Hz
+                    </button>
+                    <button
+                        className={config.rateMode === 'sync' ? 'active' : ''}
+                        onClick={() => onChange({ rateMode: 'sync' })}
+                    >
+                        Tempo
+                    </button>
+                </div>
+            </div>
+
+            {config.rateMode === 'hz' ? (
+                <div className="sweep-row">
+                    <label>{config.rateHz.toFixed(3)} Hz</label>
+                    <input
+                        type="range"
+                        min={-3}
+                        max={0.5}
+                        step={0.01}
+                        value={Math.log10(config.rateHz)}
+                        onChange={(e) => onChange({ rateHz: Math.pow(10, Number(e.target.value)) })}
+                    />
+                </div>
+            ) : (
+                <div className="sweep-row">
+                    <label>Tempo</label>
+                    <input
+                        type="number"
+                        min={20}
+                        max={300}
+                        value={config.bpm}
+                        onChange={(e) => onChange({ bpm: Math.min(Math.max(Number(e.target.value) || 20, 20), 300) })}
+                    />
+                    <span>BPM</span>
+                    <button className="tap-btn" onClick={handleTap}>Tap</button>
+                    <select
+                        value={config.beatsPerCycle}
+                        onChange={(e) => onChange({ beatsPerCycle: Number(e.target.value) })}
+                    >
+                        {BEAT_OPTIONS.map(b => <option key={b} value={b}>{b} beat{b > 1 ? 's' : ''}</option>)}
+                    </select>
+                </div>
+            )}
+
+            <div className="sweep-row">
+                <label>From {formatHz(config.minPos)}</label>
+                <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    step={0.1}
+                    value={config.minPos}
+                    onChange={(e) => onChange({ minPos: Math.min(Number(e.target.value), config.maxPos - 1) })}
+                />
+            </div>
+
+            <div className="sweep-row">
+                <label>To {formatHz(config.maxPos)}</label>
+                <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    step={0.1}
+                    value={config.maxPos}
+                    onChange={(e) => onChange({ maxPos: Math.max(Number(e.target.value), config.minPos + 1) })}
+                />
+            </div>
+
+            <div className="sweep-row">
+                <label>Width {(config.bandwidth / UNITS_PER_OCTAVE).toFixed(1)} oct</label>
+                <input
+                    type="range"
+                    min={1}
+                    max={100}
+                    step={0.1}
+                    value={config.bandwidth}
+                    onChange={(e) => onChange({ bandwidth: Number(e.target.value) })}
+                />
+            </div>
+
+            <p className="hint-text">One cycle every <strong>{period.toFixed(1)}s</strong></p>
+        </details>
+    );
+}
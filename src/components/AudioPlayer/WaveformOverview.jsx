@@ -0,0 +1,180 @@
+import { useEffect, useRef, useState } from 'react';
+import { useEffectEvent } from '../../hooks/useEffectEvent';
+import './WaveformOverview.css';
+
+const MAX_ZOOM = 16;
+const ZOOM_STEP = 1.25; // per wheel notch
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Visible window { start, end } of the given span, kept inside the track
+const clampView = (start, span, duration) => {
+    const from = clamp(start, 0, Math.max(0, duration - span));
+    return { start: from, end: from + span };
+};
+
+// Largest peak, so each layer fills the height on its own
+const peakMax = (peaks) => peaks.reduce((max, v) => (v > max ? v : max), 0) || 1;
+
+// Track overview above the transport: the full-range waveform (dim) with the part that
+// passes the current filter drawn on top. Click / drag to seek, shift+drag to select a
+// loop, scroll to zoom around the pointer (double-click resets).
+export default function WaveformOverview({
+    overview,
+    bandOverview,
+    duration,
+    currentTime,
+    isPlaying,
+    loopRegion,
+    isLoopEnabled,
+    onSeek,
+    onLoopSelect,
+    disabled,
+    isUnavailable = false // streamed tracks aren't decoded, so there is nothing to draw
+}) {
+    const canvasRef = useRef(null);
+    const [view, setView] = useState({ start: 0, end: duration });
+    const [viewDuration, setViewDuration] = useState(duration);
+    const [drag, setDrag] = useState(null); // { type: 'seek' | 'loop', anchor, time }
+
+    // The view is adjusted while rendering (no effect pass in between): a new track shows
+    // all of it, and while zoomed in the view pages along with the playhead
+    if (!Object.is(viewDuration, duration)) {
+        setViewDuration(duration);
+        setView({ start: 0, end: duration });
+    } else if (isPlaying && !drag) {
+        const playhead = Math.min(currentTime, duration);
+        if (playhead < view.start || playhead > view.end) setView(clampView(playhead, view.end - view.start, duration));
+    }
+
+    const handleWheel = useEffectEvent((e) => {
+        if (!duration) return;
+        e.preventDefault();
+        const rect = canvasRef.current.getBoundingClientRect();
+        const frac = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+        setView(v => {
+            const span = v.end - v.start;
+            // Horizontal scrolling pans
+            if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+                return clampView(v.start + (e.deltaX / rect.width) * span, span, duration);
+            }
+            const nextSpan = clamp(span * (e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP), duration / MAX_ZOOM, duration);
+            return clampView(v.start + frac * span - frac * nextSpan, nextSpan, duration);
+        });
+    });
+
+    // Wheel zoom needs preventDefault, which React's passive wheel handler can't do
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    const timeAt = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return view.start + clamp((e.clientX - rect.left) / rect.width, 0, 1) * (view.end - view.start);
+    };
+
+    const handlePointerDown = (e) => {
+        if (disabled || !duration) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const t = timeAt(e);
+        setDrag({ type: e.shiftKey ? 'loop' : 'seek', anchor: t, time: t });
+    };
+
+    const handlePointerMove = (e) => {
+        if (drag) setDrag({ ...drag, time: timeAt(e) });
+    };
+
+    const handlePointerUp = () => {
+        if (!drag) return;
+        if (drag.type === 'seek') onSeek(drag.time);
+        else onLoopSelect({ start: Math.min(drag.anchor, drag.time), end: Math.max(drag.anchor, drag.time) });
+        setDrag(null);
+    };
+
+    const selecting = drag && drag.type === 'loop';
+    const shownLoop = selecting
+        ? { start: Math.min(drag.anchor, drag.time), end: Math.max(drag.anchor, drag.time) }
+        : loopRegion;
+    const playhead = drag && drag.type === 'seek' ? drag.time : currentTime;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const ctx2d = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * dpr);
+        const height = Math.round(canvas.clientHeight * dpr);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        ctx2d.clearRect(0, 0, width, height);
+        if (!duration) return;
+
+        const span = view.end - view.start || duration;
+        const xFor = (t) => ((t - view.start) / span) * width;
+
+        if (shownLoop) {
+            ctx2d.fillStyle = isLoopEnabled || selecting ? 'rgba(188, 19, 254, 0.22)' : 'rgba(188, 19, 254, 0.08)';
+            ctx2d.fillRect(xFor(shownLoop.start), 0, xFor(shownLoop.end) - xFor(shownLoop.start), height);
+        }
+
+        // Mirrored peak bars, one per pixel column
+        const mid = height / 2;
+        const drawLayer = (peaks, style) => {
+            if (!peaks) return;
+            const scale = mid / peakMax(peaks);
+            const perSecond = peaks.length / duration;
+            ctx2d.fillStyle = style;
+            ctx2d.beginPath();
+            for (let x = 0; x < width; x++) {
+                const from = Math.floor((view.start + (x / width) * span) * perSecond);
+                const to = Math.floor((view.start + ((x + 1) / width) * span) * perSecond);
+                let peak = 0;
+                for (let b = from; b <= Math.max(from, to - 1) && b < peaks.length; b++) {
+                    if (peaks[b] > peak) peak = peaks[b];
+                }
+                const h = Math.max(peak * scale, 0.5 * dpr);
+                ctx2d.rect(x, mid - h, 1, h * 2);
+            }
+            ctx2d.fill();
+        };
+
+        drawLayer(overview, 'rgba(255, 255, 255, 0.18)');
+        const gradient = ctx2d.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, 'rgba(0, 240, 255, 0.85)');
+        gradient.addColorStop(0.5, 'rgba(188, 19, 254, 0.85)');
+        gradient.addColorStop(1, 'rgba(0, 240, 255, 0.85)');
+        drawLayer(bandOverview, gradient);
+
+        const x = Math.round(xFor(playhead)) + 0.5;
+        ctx2d.lineWidth = dpr;
+        ctx2d.strokeStyle = '#fff';
+        ctx2d.beginPath();
+        ctx2d.moveTo(x, 0);
+        ctx2d.lineTo(x, height);
+        ctx2d.stroke();
+    });
+
+    const zoom = duration && view.end > view.start ? duration / (view.end - view.start) : 1;
+
+    return (
+        <div className={`waveform-overview ${disabled ? 'disabled' : ''}`}>
+            <canvas
+                ref={canvasRef}
+                className="waveform-canvas"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onDoubleClick={() => setView({ start: 0, end: duration })}
+            />
+            {!disabled && !overview && (
+                <div className="waveform-status">
+                    {isUnavailable ? 'Long track streamed from disk: no waveform overview' : 'Analysing waveform…'}
+                </div>
+            )}
+            {zoom > 1.01 && <div className="waveform-zoom">{zoom.toFixed(1)}×</div>}
+        </div>
+    );
+}
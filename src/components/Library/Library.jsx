@@ -1,53 +1,114 @@
-import { useState, useRef, useEffect } from 'react';
-// import * as mm from 'music-metadata-browser'; // Removed to speed up load
+import { useState, useRef, useEffect, useMemo, useDeferredValue } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { get, set } from 'idb-keyval';
+import { readTags } from '../../utils/metadata';
+import { formatTime } from '../../utils/format';
+import { SORT_FIELDS, GROUP_BY, searchTracks, sortTracks, groupTracks } from '../../utils/library';
+import { walkDirectory, folderOf, isUnchanged, scanSummary } from '../../utils/libraryScan';
+import { detectAudioFormat, NOT_AUDIO } from '../../utils/audioFormat';
+import { useEffectEvent } from '../../hooks/useEffectEvent';
+import Artwork from '../Artwork/Artwork';
+import VirtualList from './VirtualList';
+import TrackMenu from './TrackMenu';
 import './Library.css';
 
-export default function Library({ onTrackSelect, currentTrackId }) {
+const LIBRARY_KEY = 'music-library';
+const FOLDERS_KEY = 'library-folders';
+
+// Background metadata parsing: tags are shown every METADATA_BATCH_SIZE tracks, while the
+// library (artwork included) is written to IDB at most every METADATA_SAVE_MS, and at the end
+const METADATA_BATCH_SIZE = 10;
+const METADATA_SAVE_MS = 5000;
+
+// Import: new tracks / progress are published to the UI in batches
+const SCAN_BATCH_SIZE = 50;
+const SCAN_FLUSH_MS = 250;
+
+// Row heights for the virtualized list (px, including spacing)
+const TRACK_ROW_HEIGHT = 68;
+const GROUP_ROW_HEIGHT = 40;
+const rowHeight = (row) => (row.type === 'group' ? GROUP_ROW_HEIGHT : TRACK_ROW_HEIGHT);
+
+export default function Library({
+    onTrackSelect,
+    currentTrackId,
+    onTracksChange,
+    onTracksRemove,
+    playlists = [],
+    onPlayNext,
+    onAddToQueue,
+    onAddToPlaylist,
+    onCreatePlaylist
+}) {
     const [playlist, setPlaylist] = useState([]);
-    const [isScanning, setIsScanning] = useState(false);
+    const [folders, setFolders] = useState([]); // [{ id, name, handle }] picked directories, for rescans
+    const [scanProgress, setScanProgress] = useState(null); // { found, processed } while scanning
+    const [scanReport, setScanReport] = useState(null); // { title, summary, skipped } of the last scan
+    const [query, setQuery] = useState('');
+    const [sortField, setSortField] = useState('added');
+    const [isDescending, setIsDescending] = useState(false);
+    const [groupBy, setGroupBy] = useState('none');
+    const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
 
     const fileInputRef = useRef(null);
+    // Current library and folders for async scans (state only catches up on the next render)
+    const libraryRef = useRef([]);
+    const foldersRef = useRef([]);
+    const cancelScanRef = useRef(false);
+    const isScanning = scanProgress !== null;
 
-    // Load from IDB on mount
+    // Let playlists resolve their track ids against the library
     useEffect(() => {
-        async function loadLibrary() {
-            const stored = await get('music-library');
-            if (stored) {
-                setPlaylist(stored);
-            }
-        }
-        loadLibrary();
-    }, []);
+        if (onTracksChange) onTracksChange(playlist);
+    }, [playlist, onTracksChange]);
+
+    // Update the library in memory only (e.g. tracks shown while a scan is still running)
+    const setLibrary = (updater) => {
+        libraryRef.current = updater(libraryRef.current);
+        setPlaylist(libraryRef.current);
+    };
 
-    // Save to IDB helper
-    // Save to IDB helper with batching support
-    const saveLibrary = async (newTracks, replace = false) => {
-        setPlaylist(prev => {
-            const updated = replace ? newTracks : [...prev, ...newTracks];
-
-            // Async persistence to avoid blocking the UI
-            const serializable = updated.map(t => {
-                const { file, ...rest } = t;
-                return rest;
-            });
-            set('music-library', serializable).catch(err =>
-                console.error("Failed to persist library:", err)
-            );
-
-            return updated;
+    // Write the library to IDB (File blobs are runtime-only and not stored)
+    const persistLibrary = () => {
+        const serializable = libraryRef.current.map(t => {
+            const { file: _file, ...rest } = t;
+            return rest;
         });
+        set(LIBRARY_KEY, serializable).catch(err =>
+            console.error("Failed to persist library:", err)
+        );
+    };
+
+    // Update the library and persist it
+    const saveLibrary = (updater) => {
+        setLibrary(updater);
+        persistLibrary();
+    };
+
+    // Same for the saved folders
+    const saveFolders = (updater) => {
+        foldersRef.current = updater(foldersRef.current);
+        setFolders(foldersRef.current);
+        set(FOLDERS_KEY, foldersRef.current).catch(err =>
+            console.error("Failed to persist library folders:", err)
+        );
     };
 
     // Helper to create track object from file (Faster, filename-based)
-    const parseFile = async (file, handle = null) => {
+    // `folder` is the display path (e.g. "Music/Artist/Album"); `folderId` + `path` (relative to
+    // that saved folder) identify the file on rescans, `size` + `lastModified` detect changes.
+    const parseFile = async (file, { handle = null, folder = '', folderId = null, path = null } = {}) => {
         try {
             return {
                 id: uuidv4(),
                 file: file, // Runtime usage only (Blob)
                 fileHandle: handle, // Persistence usage
                 filename: file.name,
+                folder,
+                folderId,
+                path,
+                size: file.size,
+                lastModified: file.lastModified,
                 title: file.name.replace(/\.[^/.]+$/, ""), // Strip extension for title
                 artist: 'Unknown Artist',
                 album: 'Unknown Album'
@@ -58,11 +119,111 @@ export default function Library({ onTrackSelect, currentTrackId }) {
         }
     };
 
+    // Background pass after the fast filename-based insert: read tags and merge them into state + IDB
+    const enrichMetadata = async (tracks) => {
+        let pending = {};
+        let lastSave = performance.now();
+
+        const flush = (isDone) => {
+            const updates = pending;
+            pending = {};
+            if (Object.keys(updates).length > 0) {
+                setLibrary(prev => prev.map(t => (updates[t.id] ? { ...t, ...updates[t.id] } : t)));
+            }
+            const now = performance.now();
+            if (isDone || now - lastSave >= METADATA_SAVE_MS) {
+                lastSave = now;
+                persistLibrary();
+            }
+        };
+
+        for (let i = 0; i < tracks.length; i++) {
+            const track = tracks[i];
+            let fields = { metadataParsed: true };
+            try {
+                const file = track.file || await track.fileHandle.getFile();
+                fields = { ...(await readTags(file)), metadataParsed: true };
+            } catch (err) {
+                // Untagged or unreadable: keep the filename-based entry
+                console.warn("Could not read tags for", track.filename, err);
+            }
+            pending[track.id] = fields;
+            if ((i + 1) % METADATA_BATCH_SIZE === 0) flush(false);
+        }
+        flush(true);
+    };
+
+    const enrichOnLoad = useEffectEvent(enrichMetadata);
+
+    // Load from IDB on mount
+    useEffect(() => {
+        get(FOLDERS_KEY)
+            .then(stored => {
+                if (!stored) return;
+                foldersRef.current = stored;
+                setFolders(stored);
+            })
+            .catch(err => console.error("Failed to load library folders:", err));
+
+        async function loadLibrary() {
+            const stored = await get(LIBRARY_KEY);
+            if (stored) {
+                libraryRef.current = stored;
+                setPlaylist(stored);
+
+                // Finish tagging entries imported before tags were read (only where access is still granted)
+                const untagged = [];
+                for (const track of stored) {
+                    if (track.metadataParsed || !track.fileHandle) continue;
+                    try {
+                        if ((await track.fileHandle.queryPermission({ mode: 'read' })) === 'granted') {
+                            untagged.push(track);
+                        }
+                    } catch {
+                        // Handle no longer valid; leave as-is
+                    }
+                }
+                if (untagged.length) enrichOnLoad(untagged);
+            }
+        }
+        loadLibrary();
+    }, []);
+
+    // Search / sort / group view. The query is deferred so typing stays responsive on big libraries.
+    const deferredQuery = useDeferredValue(query);
+    const groups = useMemo(
+        () => groupTracks(sortTracks(searchTracks(playlist, deferredQuery), sortField, isDescending), groupBy),
+        [playlist, deferredQuery, sortField, isDescending, groupBy]
+    );
+
+    // Tracks in view order: the play queue handed to the player
+    const visibleTracks = useMemo(() => groups.flatMap(group => group.tracks), [groups]);
+
+    // Flat rows for the virtualized list: group headers followed by their (expanded) tracks
+    const rows = useMemo(() => groups.flatMap(({ key, tracks }) => {
+        const trackRows = tracks.map(track => ({ key: track.id, type: 'track', track }));
+        if (key === null) return trackRows;
+        const isCollapsed = collapsedGroups.has(key);
+        return [
+            { key: `group:${key}`, type: 'group', label: key, count: tracks.length, isCollapsed },
+            ...(isCollapsed ? [] : trackRows)
+        ];
+    }), [groups, collapsedGroups]);
+
+    const toggleGroup = (key) => {
+        setCollapsedGroups(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
     // Play Handler (Wrapper to ensure file access)
     const handleTrackClick = async (track) => {
         // If we already have the file blob (freshly imported), just play
         if (track.file) {
-            onTrackSelect(track, playlist);
+            onTrackSelect(track, visibleTracks);
             return;
         }
 
@@ -82,7 +243,7 @@ export default function Library({ onTrackSelect, currentTrackId }) {
                 const file = await track.fileHandle.getFile();
                 // Create a temp track object with the file blob to send to player
                 const playableTrack = { ...track, file };
-                onTrackSelect(playableTrack, playlist);
+                onTrackSelect(playableTrack, visibleTracks);
             } catch (err) {
                 console.error("Error retrieving file handle:", err);
                 alert("Could not load file. It may have been moved or deleted.");
@@ -95,82 +256,271 @@ export default function Library({ onTrackSelect, currentTrackId }) {
     };
 
 
-    // Modern Directory Picker (Desktop/Android Chrome 109+)
-    const handleDirectoryPick = async () => {
-        try {
-            const handle = await window.showDirectoryPicker();
-            setIsScanning(true);
-
-            const newTracks = [];
-
-            // Recursive walker
-            async function scanDir(dirHandle) {
-                console.log("Scanning directory:", dirHandle.name);
-                for await (const entry of dirHandle.values()) {
-                    if (entry.kind === 'file') {
-                        const file = await entry.getFile();
-                        if (file.type.startsWith('audio/')) {
-                            const track = await parseFile(file, entry);
-                            if (track) {
-                                // Update UI immediately
-                                setPlaylist(prev => [...prev, track]);
-                                // Store for final persistence
-                                newTracks.push(track);
-                            }
-                        }
-                    } else if (entry.kind === 'directory') {
-                        await scanDir(entry);
-                    }
-                }
+    // Library entry (from before folders were saved) made from the same file as `handle`
+    const takeUnfiled = async (unfiled, handle) => {
+        for (let i = 0; i < unfiled.length; i++) {
+            if (unfiled[i].filename === handle.name && await unfiled[i].fileHandle.isSameEntry(handle)) {
+                return unfiled.splice(i, 1)[0];
             }
+        }
+        return null;
+    };
+
+    // Progress, batching and skip bookkeeping shared by both importers
+    const startScanJob = (found = 0) => {
+        cancelScanRef.current = false;
+        setScanProgress({ found, processed: 0 });
+        return { found, processed: 0, pending: [], skipped: [], ignored: 0, lastFlush: performance.now() };
+    };
 
-            await scanDir(handle);
+    // Publish queued tracks and progress every SCAN_BATCH_SIZE tracks / SCAN_FLUSH_MS,
+    // yielding to the event loop so the UI (and the cancel button) stay responsive
+    const flushScanJob = async (job, force = false) => {
+        const now = performance.now();
+        if (!force && job.pending.length < SCAN_BATCH_SIZE && now - job.lastFlush < SCAN_FLUSH_MS) return;
+        job.lastFlush = now;
+        if (job.pending.length > 0) {
+            const batch = job.pending;
+            job.pending = [];
+            setLibrary(prev => [...prev, ...batch]);
+        }
+        setScanProgress({ found: job.found, processed: job.processed });
+        await new Promise(resolve => setTimeout(resolve, 0));
+    };
 
-            // Final persistence of all new tracks added
-            const stored = await get('music-library') || [];
-            const serializableNew = newTracks.map(t => {
-                const { file, ...rest } = t;
-                return rest;
-            });
-            await set('music-library', [...stored, ...serializableNew]);
+    // Whether a scanned file is importable audio; otherwise notes why it was skipped
+    const checkScannedFile = async (job, file, path) => {
+        const { format, reason } = await detectAudioFormat(file);
+        job.processed++;
+        if (format) return true;
+        if (reason === NOT_AUDIO) job.ignored++;
+        else job.skipped.push({ path, reason });
+        return false;
+    };
 
-            setIsScanning(false);
+    // Walk a saved folder and reconcile it with the library. Files are matched by their path in
+    // the folder, so a rescan never duplicates: new files are added, entries whose file changed
+    // (size / mtime) are refreshed in place and re-tagged, entries not found are marked missing.
+    const scanFolder = async (folder) => {
+        const job = startScanJob();
+        const existing = new Map(libraryRef.current.filter(t => t.folderId === folder.id).map(t => [t.path, t]));
+        const unfiled = libraryRef.current.filter(t => !t.folderId && t.fileHandle);
+        const updates = {};
+        const toTag = [];
+        let added = 0;
+        let updated = 0;
 
+        // List first (cheap), so the progress has a total
+        const entries = [];
+        for await (const entry of walkDirectory(folder.handle)) {
+            if (cancelScanRef.current) break;
+            entries.push(entry);
+            job.found++;
+            await flushScanJob(job);
+        }
+
+        for (const { path, handle } of entries) {
+            if (cancelScanRef.current) break;
+            let file;
+            try {
+                file = await handle.getFile();
+            } catch (err) {
+                console.error(`Failed to read "${path}":`, err);
+                job.processed++;
+                job.skipped.push({ path, reason: 'Could not be read' });
+                continue;
+            }
+            if (!(await checkScannedFile(job, file, path))) {
+                await flushScanJob(job);
+                continue;
+            }
+            const location = { handle, folder: folderOf(folder.name, path), folderId: folder.id, path };
+
+            const track = existing.get(path) || await takeUnfiled(unfiled, handle);
+            if (!track) {
+                const newTrack = await parseFile(file, location);
+                job.pending.push(newTrack);
+                toTag.push(newTrack);
+                added++;
+                await flushScanJob(job);
+                continue;
+            }
+
+            existing.delete(path);
+            const changed = track.size !== undefined && !isUnchanged(track, file);
+            updates[track.id] = {
+                fileHandle: handle,
+                folder: location.folder,
+                folderId: folder.id,
+                path,
+                size: file.size,
+                lastModified: file.lastModified,
+                missing: false
+            };
+            if (changed) {
+                toTag.push({ ...track, file });
+                updated++;
+            }
+            await flushScanJob(job);
+        }
+        await flushScanJob(job, true);
+
+        // A cancelled scan hasn't seen every file, so it can't tell what is missing
+        const cancelled = cancelScanRef.current;
+        if (!cancelled) existing.forEach(track => { updates[track.id] = { missing: true }; });
+        saveLibrary(prev => prev.map(t => (updates[t.id] ? { ...t, ...updates[t.id] } : t)));
+        enrichMetadata(toTag);
+        return { added, updated, missing: cancelled ? 0 : existing.size, skipped: job.skipped, ignored: job.ignored, cancelled };
+    };
+
+    const reportScan = (title, result) => {
+        setScanReport({ title, summary: scanSummary(result), skipped: result.skipped });
+    };
+
+    const rescanFolder = async (folder) => {
+        try {
+            const opts = { mode: 'read' };
+            if ((await folder.handle.queryPermission(opts)) !== 'granted') {
+                if ((await folder.handle.requestPermission(opts)) !== 'granted') {
+                    alert(`Permission denied. Cannot scan "${folder.name}".`);
+                    return;
+                }
+            }
+            reportScan(folder.name, await scanFolder(folder));
+        } catch (err) {
+            console.error("Error scanning folder:", err);
+            alert(`Could not scan "${folder.name}". It may have been moved or deleted.`);
+        } finally {
+            setScanProgress(null);
+        }
+    };
+
+    const rescanAll = async () => {
+        for (const folder of folders) {
+            if (cancelScanRef.current) break;
+            await rescanFolder(folder);
+        }
+    };
+
+    // Modern Directory Picker (Desktop/Android Chrome 109+)
+    const handleDirectoryPick = async () => {
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker();
         } catch (err) {
             // User cancelled or not supported -> Try fallback
             if (err.name === 'AbortError') return;
             console.log("Native picker failed/unsupported, using fallback", err);
             fileInputRef.current.click();
+            return;
+        }
+
+        // A folder already in the library (or one inside it) is rescanned instead of added again
+        for (const folder of folders) {
+            if ((await folder.handle.isSameEntry(handle)) || (await folder.handle.resolve(handle))) {
+                await rescanFolder(folder);
+                return;
+            }
         }
+
+        // Saved folders inside the new one are merged into it (entries keep their ids)
+        const folder = { id: uuidv4(), name: handle.name, handle };
+        const absorbed = {}; // folderId -> path prefix inside the new folder
+        for (const existing of folders) {
+            const relative = await handle.resolve(existing.handle);
+            if (relative) absorbed[existing.id] = relative.join('/');
+        }
+        if (Object.keys(absorbed).length > 0) {
+            setLibrary(prev => prev.map(t => (t.folderId in absorbed
+                ? { ...t, folderId: folder.id, path: `${absorbed[t.folderId]}/${t.path}` }
+                : t)));
+        }
+        saveFolders(prev => [...prev.filter(f => !(f.id in absorbed)), folder]);
+        await rescanFolder(folder);
     };
 
-    // Fallback Input Handler
+    // Fallback Input Handler (no handles, so nothing to rescan; re-importing re-attaches files)
     const handleFallbackChange = async (e) => {
-        setIsScanning(true);
         const files = Array.from(e.target.files);
+        e.target.value = '';
+        const job = startScanJob(files.length);
         const newTracks = [];
+        const reattached = {};
+        const fileKey = (folder, name, { size, lastModified }) => `${folder}/${name}:${size}:${lastModified}`;
+        const known = new Map(libraryRef.current
+            .filter(t => !t.fileHandle)
+            .map(t => [fileKey(t.folder, t.filename, t), t]));
 
         for (const file of files) {
-            if (file.type.startsWith('audio/')) {
-                const track = await parseFile(file);
-                if (track) {
-                    setPlaylist(prev => [...prev, track]);
-                    newTracks.push(track);
+            if (cancelScanRef.current) break;
+            if (await checkScannedFile(job, file, file.webkitRelativePath || file.name)) {
+                // webkitRelativePath is "picked/dir/.../name.ext"
+                const folder = file.webkitRelativePath.split('/').slice(0, -1).join('/');
+                const existing = known.get(fileKey(folder, file.name, file));
+                if (existing) {
+                    reattached[existing.id] = file;
+                } else {
+                    const track = await parseFile(file, { folder });
+                    if (track) {
+                        job.pending.push(track);
+                        newTracks.push(track);
+                    }
                 }
             }
+            await flushScanJob(job);
         }
+        await flushScanJob(job, true);
 
         // Final persistence
-        const stored = await get('music-library') || [];
-        const serializableNew = newTracks.map(t => {
-            const { file, ...rest } = t;
-            return rest;
+        saveLibrary(prev => prev.map(t => (reattached[t.id] ? { ...t, file: reattached[t.id] } : t)));
+        reportScan('Import', {
+            added: newTracks.length,
+            updated: Object.keys(reattached).length,
+            missing: 0,
+            skipped: job.skipped,
+            ignored: job.ignored,
+            cancelled: cancelScanRef.current
         });
-        await set('music-library', [...stored, ...serializableNew]);
 
-        setIsScanning(false);
+        setScanProgress(null);
+        enrichMetadata(newTracks);
+    };
+
+    // Removed tracks take their per-track data (settings, lanes, loops, waveforms) with them
+    const removeTracks = (isRemoved) => {
+        if (onTracksRemove) onTracksRemove(libraryRef.current.filter(isRemoved).map(t => t.id));
+        saveLibrary(prev => prev.filter(t => !isRemoved(t)));
+    };
+
+    const removeTrack = (track) => {
+        removeTracks(t => t.id === track.id);
+    };
+
+    const removeFolder = (folder) => {
+        const count = libraryRef.current.filter(t => t.folderId === folder.id).length;
+        if (!confirm(`Remove "${folder.name}" and its ${count} tracks from the library? Files on disk are not touched.`)) return;
+        removeTracks(t => t.folderId === folder.id);
+        saveFolders(prev => prev.filter(f => f.id !== folder.id));
+    };
+
+    const removeMissing = () => {
+        removeTracks(t => t.missing);
+    };
+
+    const clearLibrary = () => {
+        if (!confirm("Remove all tracks and folders from the library? Files on disk are not touched.")) return;
+        if (onTracksRemove) onTracksRemove(null);
+        saveLibrary(() => []);
+        saveFolders(() => []);
+        setScanReport(null);
     };
 
+    const missingCount = playlist.filter(t => t.missing).length;
+    const folderCounts = playlist.reduce((counts, t) => {
+        if (t.folderId) counts[t.folderId] = (counts[t.folderId] || 0) + 1;
+        return counts;
+    }, {});
+
     return (
         <div className="library-container">
             <div className="library-header">
@@ -191,31 +541,138 @@ export default function Library({ onTrackSelect, currentTrackId }) {
                 </div>
             </div>
 
-            <div className="track-list">
-                {isScanning && <div className="scanning-indicator">Scanning Metadata...</div>}
+            {(folders.length > 0 || playlist.length > 0) && (
+                <details className="library-folders">
+                    <summary>
+                        Folders ({folders.length}){missingCount > 0 && ` · ${missingCount} missing`}
+                    </summary>
+                    {folders.map(folder => (
+                        <div key={folder.id} className="folder-row">
+                            <span className="folder-name" title={folder.name}>{folder.name}</span>
+                            <span className="folder-count">{folderCounts[folder.id] || 0}</span>
+                            <button className="row-action" onClick={() => rescanFolder(folder)} disabled={isScanning} title="Rescan">⟳</button>
+                            <button className="row-action" onClick={() => removeFolder(folder)} disabled={isScanning} title="Remove folder">×</button>
+                        </div>
+                    ))}
+                    <div className="folder-actions">
+                        {folders.length > 1 && <button onClick={rescanAll} disabled={isScanning}>Rescan All</button>}
+                        {missingCount > 0 && <button onClick={removeMissing} disabled={isScanning}>Remove Missing</button>}
+                        <button className="danger" onClick={clearLibrary} disabled={isScanning}>Clear Library</button>
+                    </div>
+                </details>
+            )}
+
+            {playlist.length > 0 && (
+                <div className="library-view-controls">
+                    <input
+                        type="search"
+                        className="library-search"
+                        placeholder="Search title, artist, album, file..."
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                    />
+                    <div className="library-view-row">
+                        <select value={sortField} onChange={(e) => setSortField(e.target.value)} title="Sort by">
+                            {SORT_FIELDS.map(field => (
+                                <option key={field.id} value={field.id}>{field.label}</option>
+                            ))}
+                        </select>
+                        <button
+                            className="sort-direction-btn"
+                            onClick={() => setIsDescending(!isDescending)}
+                            title={isDescending ? 'Descending' : 'Ascending'}
+                        >
+                            {isDescending ? '↓' : '↑'}
+                        </button>
+                        <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} title="Group by">
+                            {GROUP_BY.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+            )}
 
-                {playlist.length === 0 && !isScanning && (
-                    <div className="empty-state">
-                        <p>No tracks loaded.</p>
-                        <p className="sub-text">Tap "Add Folder" to import your music.</p>
+            {scanProgress && (
+                <div className="scan-progress">
+                    <div className="scanning-indicator">
+                        Scanning... {scanProgress.processed} / {scanProgress.found} files
                     </div>
-                )}
+                    <progress value={scanProgress.processed} max={scanProgress.found || 1} />
+                    <button onClick={() => { cancelScanRef.current = true; }}>Cancel</button>
+                </div>
+            )}
 
-                {playlist.map(track => (
+            {scanReport && !scanProgress && (
+                <div className="scan-report">
+                    <span>{scanReport.title}: {scanReport.summary}</span>
+                    <button className="row-action" onClick={() => setScanReport(null)} title="Dismiss">×</button>
+                    {scanReport.skipped.length > 0 && (
+                        <details>
+                            <summary>Show skipped files</summary>
+                            <ul>
+                                {scanReport.skipped.map(({ path, reason }) => (
+                                    <li key={path}><span className="skipped-path">{path}</span> {reason}</li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+                </div>
+            )}
+
+            {playlist.length === 0 && !isScanning && (
+                <div className="empty-state">
+                    <p>No tracks loaded.</p>
+                    <p className="sub-text">Tap "Add Folder" to import your music.</p>
+                </div>
+            )}
+
+            {playlist.length > 0 && visibleTracks.length === 0 && (
+                <div className="empty-state">
+                    <p>No tracks match "{deferredQuery}".</p>
+                </div>
+            )}
+
+            <VirtualList
+                className="track-list"
+                items={rows}
+                rowHeight={rowHeight}
+                renderRow={row => (row.type === 'group' ? (
+                    <div className="group-header" onClick={() => toggleGroup(row.label)}>
+                        <span className="group-caret">{row.isCollapsed ? '▸' : '▾'}</span>
+                        <span className="group-label">{row.label}</span>
+                        <span className="group-count">{row.count}</span>
+                    </div>
+                ) : (
                     <div
-                        key={track.id}
-                        className={`track-item ${currentTrackId === track.id ? 'active-track' : ''}`}
-                        onClick={() => handleTrackClick(track)}
+                        className={`track-item ${currentTrackId === row.track.id ? 'active-track' : ''} ${row.track.missing ? 'missing' : ''}`}
+                        onClick={() => handleTrackClick(row.track)}
                     >
-                        <div className="track-icon">🎵</div>
+                        <Artwork blob={row.track.artwork} size={40} />
                         <div className="track-details">
-                            <div className="track-title">{track.title}</div>
-                            <div className="track-artist">{track.artist}</div>
-                            {!track.file && !track.fileHandle && <span className="warning-badge">Legacy (Lost on Reload)</span>}
+                            <div className="track-title">
+                                {row.track.trackNumber && <span className="track-number">{row.track.trackNumber}.</span>}
+                                {row.track.title}
+                            </div>
+                            <div className="track-artist">{row.track.artist}</div>
+                            {!row.track.file && !row.track.fileHandle && <span className="warning-badge">Legacy (Lost on Reload)</span>}
+                            {row.track.missing && <span className="warning-badge">Missing (not found on rescan)</span>}
                         </div>
+                        {row.track.duration && <div className="track-duration">{formatTime(row.track.duration)}</div>}
+                        {onAddToQueue && (
+                            <TrackMenu
+                                track={row.track}
+                                playlists={playlists}
+                                onPlayNext={onPlayNext}
+                                onAddToQueue={onAddToQueue}
+                                onAddToPlaylist={onAddToPlaylist}
+                                onCreatePlaylist={onCreatePlaylist}
+                                onRemove={removeTrack}
+                            />
+                        )}
                     </div>
                 ))}
-            </div>
+            />
         </div>
     );
 }
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import './TrackMenu.css';
+
+// "⋯" menu on a track row: queue it, add it to a playlist or remove it from the library.
+// The popup is portalled to <body> so the virtualized, clipped rows can't cover it.
+export default function TrackMenu({ track, playlists, onPlayNext, onAddToQueue, onAddToPlaylist, onCreatePlaylist, onRemove }) {
+    const [anchor, setAnchor] = useState(null); // button rect while open
+
+    const open = (e) => {
+        e.stopPropagation();
+        setAnchor(e.currentTarget.getBoundingClientRect());
+    };
+
+    const run = (action) => (e) => {
+        e.stopPropagation();
+        setAnchor(null);
+        action();
+    };
+
+    const handleNewPlaylist = () => {
+        const name = prompt("Playlist name:");
+        if (name && name.trim()) onCreatePlaylist(name.trim(), [track.id]);
+    };
+
+    return (
+        <>
+            <button className="track-menu-btn" onClick={open} title="More actions">⋯</button>
+            {anchor && createPortal(
+                <div className="track-menu-backdrop" onClick={run(() => {})}>
+                    <div
+                        className="track-menu-popup"
+                        style={{ top: anchor.bottom + 4, right: window.innerWidth - anchor.right }}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <button onClick={run(() => onPlayNext(track))}>Play Next</button>
+                        <button onClick={run(() => onAddToQueue(track))}>Add to Queue</button>
+                        <div className="track-menu-divider" />
+                        {playlists.map(playlist => (
+                            <button key={playlist.id} onClick={run(() => onAddToPlaylist(playlist.id, track))}>
+                                Add to "{playlist.name}"
+                            </button>
+                        ))}
+                        <button onClick={run(handleNewPlaylist)}>+ New Playlist...</button>
+                        <div className="track-menu-divider" />
+                        <button onClick={run(() => onRemove(track))}>Remove from Library</button>
+                    </div>
+                </div>,
+                document.body
+            )}
+        </>
+    );
+}
@@ -0,0 +1,64 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+// Scrolling list that only mounts the rows in view (plus `overscan` on each side).
+// Rows have known heights (`rowHeight(item)`, ideally a stable function) and need a unique `key`.
+export default function VirtualList({ items, rowHeight, renderRow, className = '', overscan = 6 }) {
+    const containerRef = useRef(null);
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+    // offsets[i] = top of row i; offsets[items.length] = total height
+    const offsets = useMemo(() => {
+        const result = new Array(items.length + 1);
+        result[0] = 0;
+        items.forEach((item, i) => { result[i + 1] = result[i] + rowHeight(item); });
+        return result;
+    }, [items, rowHeight]);
+
+    const measure = () => {
+        const el = containerRef.current;
+        if (el) setViewport({ top: el.scrollTop, height: el.clientHeight });
+    };
+
+    useEffect(() => {
+        measure();
+        const observer = new ResizeObserver(measure);
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // First row whose bottom edge is below `y`
+    const rowAt = (y) => {
+        let lo = 0;
+        let hi = items.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (offsets[mid + 1] <= y) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    };
+
+    const first = Math.max(0, rowAt(viewport.top) - overscan);
+    const last = Math.min(items.length, rowAt(viewport.top + viewport.height) + 1 + overscan);
+
+    return (
+        <div ref={containerRef} className={className} onScroll={measure}>
+            <div style={{ position: 'relative', height: offsets[items.length] }}>
+                {items.slice(first, last).map((item, i) => (
+                    <div
+                        key={item.key}
+                        style={{
+                            position: 'absolute',
+                            top: offsets[first + i],
+                            left: 0,
+                            right: 0,
+                            height: rowHeight(item)
+                        }}
+                    >
+                        {renderRow(item)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { formatTime } from '../../utils/format';
+import './Playlists.css';
+
+// User playlists: the list of playlists, or one opened playlist whose tracks
+// can be played, queued, removed and reordered by dragging
+export default function Playlists({
+    playlists,
+    tracks,
+    currentTrackId,
+    onTrackSelect,
+    onAddToQueue,
+    onCreate,
+    onRename,
+    onDelete,
+    onRemoveTrack,
+    onMoveTrack
+}) {
+    const [openId, setOpenId] = useState(null);
+    const [drag, setDrag] = useState(null); // { from, over } track positions
+
+    const opened = playlists.find(p => p.id === openId);
+    const trackById = new Map(tracks.map(t => [t.id, t]));
+
+    const handleCreate = () => {
+        const name = prompt("Playlist name:");
+        if (name && name.trim()) onCreate(name.trim());
+    };
+
+    const handleRename = (playlist) => {
+        const name = prompt("Rename playlist:", playlist.name);
+        if (name && name.trim()) onRename(playlist.id, name.trim());
+    };
+
+    const handleDelete = (playlist) => {
+        if (!confirm(`Delete playlist "${playlist.name}"?`)) return;
+        onDelete(playlist.id);
+        if (openId === playlist.id) setOpenId(null);
+    };
+
+    if (!opened) {
+        return (
+            <div className="side-panel playlists">
+                <div className="side-panel-header">
+                    <h2>Playlists ({playlists.length})</h2>
+                    <button className="import-btn" onClick={handleCreate}>+ New</button>
+                </div>
+                <div className="playlist-list">
+                    {playlists.length === 0 && (
+                        <div className="empty-state">
+                            <p>No playlists yet.</p>
+                            <p className="sub-text">Create one here, or use "⋯" on a library track.</p>
+                        </div>
+                    )}
+                    {playlists.map(playlist => (
+                        <div key={playlist.id} className="playlist-row" onClick={() => setOpenId(playlist.id)}>
+                            <span className="playlist-name">{playlist.name}</span>
+                            <span className="playlist-count">{playlist.trackIds.length}</span>
+                            <button className="row-action" onClick={(e) => { e.stopPropagation(); handleRename(playlist); }} title="Rename">✎</button>
+                            <button className="row-action" onClick={(e) => { e.stopPropagation(); handleDelete(playlist); }} title="Delete">×</button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    // Tracks deleted from the library stay listed (greyed) so the order isn't lost
+    const entries = opened.trackIds.map((id, index) => ({ index, track: trackById.get(id) }));
+    const playable = entries.filter(e => e.track).map(e => e.track);
+
+    const handleDrop = () => {
+        if (drag && drag.over !== null && drag.over !== drag.from) onMoveTrack(opened.id, drag.from, drag.over);
+        setDrag(null);
+    };
+
+    return (
+        <div className="side-panel playlists">
+            <div className="side-panel-header">
+                <button className="row-action" onClick={() => setOpenId(null)} title="All playlists">‹</button>
+                <h2>{opened.name}</h2>
+                <button
+                    className="import-btn"
+                    onClick={() => onTrackSelect(playable[0], playable)}
+                    disabled={playable.length === 0}
+                >
+                    ▶ Play
+                </button>
+            </div>
+            <div className="playlist-list">
+                {entries.length === 0 && (
+                    <div className="empty-state">
+                        <p>This playlist is empty.</p>
+                        <p className="sub-text">Use "⋯" on a library track to add it.</p>
+                    </div>
+                )}
+                {entries.map(({ index, track }) => (
+                    <div
+                        key={`${index}:${opened.trackIds[index]}`}
+                        className={[
+                            'playlist-track',
+                            track && track.id === currentTrackId ? 'active-track' : '',
+                            !track ? 'missing' : '',
+                            drag && drag.over === index ? 'drop-target' : ''
+                        ].join(' ')}
+                        draggable
+                        onDragStart={(e) => {
+                            e.dataTransfer.effectAllowed = 'move';
+                            setDrag({ from: index, over: null });
+                        }}
+                        onDragOver={(e) => {
+                            if (!drag) return;
+                            e.preventDefault();
+                            if (drag.over !== index) setDrag({ ...drag, over: index });
+                        }}
+                        onDrop={handleDrop}
+                        onDragEnd={() => setDrag(null)}
+                        onClick={() => track && onTrackSelect(track, playable)}
+                    >
+                        <span className="drag-handle">⋮⋮</span>
+                        <div className="track-details">
+                            <div className="track-title">{track ? track.title : 'Missing track'}</div>
+                            {track && <div className="track-artist">{track.artist}</div>}
+                        </div>
+                        {track && track.duration && <div className="track-duration">{formatTime(track.duration)}</div>}
+                        {track && (
+                            <button className="row-action" onClick={(e) => { e.stopPropagation(); onAddToQueue(track); }} title="Add to queue">+</button>
+                        )}
+                        <button className="row-action" onClick={(e) => { e.stopPropagation(); onRemoveTrack(opened.id, index); }} title="Remove">×</button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
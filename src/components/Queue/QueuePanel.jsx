@@ -0,0 +1,50 @@
+import './QueuePanel.css';
+
+const HISTORY_SHOWN = 30;
+
+// Now playing, the "up next" queue and recently played tracks (most recent first)
+export default function QueuePanel({ currentTrack, queue, history, onPlayQueued, onRemove, onClear, onPlayHistory }) {
+    const recent = history.slice(-HISTORY_SHOWN).reverse();
+
+    return (
+        <div className="side-panel queue-panel">
+            <div className="side-panel-header">
+                <h2>Up Next ({queue.length})</h2>
+                <button className="import-btn" onClick={onClear} disabled={queue.length === 0}>Clear</button>
+            </div>
+
+            <div className="queue-sections">
+                {currentTrack && (
+                    <div className="queue-now">
+                        <span className="queue-label">Now Playing</span>
+                        <div className="track-title">{currentTrack.title}</div>
+                        <div className="track-artist">{currentTrack.artist}</div>
+                    </div>
+                )}
+
+                {queue.length === 0 && (
+                    <p className="queue-empty">Nothing queued. After the current track the library view or playlist continues.</p>
+                )}
+                {queue.map(({ key, track }) => (
+                    <div key={key} className="queue-row" onClick={() => onPlayQueued(key)}>
+                        <div className="track-details">
+                            <div className="track-title">{track.title}</div>
+                            <div className="track-artist">{track.artist}</div>
+                        </div>
+                        <button className="row-action" onClick={(e) => { e.stopPropagation(); onRemove(key); }} title="Remove">×</button>
+                    </div>
+                ))}
+
+                {recent.length > 0 && <span className="queue-label">History</span>}
+                {recent.map(({ track }, i) => (
+                    <div key={`${i}:${track.id}`} className="queue-row history" onClick={() => onPlayHistory(track)}>
+                        <div className="track-details">
+                            <div className="track-title">{track.title}</div>
+                            <div className="track-artist">{track.artist}</div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
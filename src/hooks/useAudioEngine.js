@@ -1,4 +1,107 @@
-import { useRef, useState, useEffect, useCallback } from 'react';
+import { useRef, useState, useEffect, useLayoutEffect, useCallback } from 'react';
+import { encodeWav } from '../utils/wavEncoder';
+import { toLog, toLinear, MIN_FREQ, MAX_FREQ } from '../utils/audioMath';
+import { sweepRangeAt, sweepRateHz, sweepStartPhase } from '../utils/sweep';
+import { automationValueAt, nextPointIndex } from '../utils/automation';
+import { DEFAULT_FILTER_DESIGN, stageQs, cutoffScale } from '../utils/filterDesign';
+import { DEFAULT_LINEAR_PHASE_TAPS, designBandKernel, kernelLatency } from '../utils/firDesign';
+import { stereoMatrix } from '../utils/stereo';
+import { createKWeighting, meanSquare, peakOf, amplitudeToDb, meanSquareToLufs } from '../utils/loudness';
+import pitchShiftProcessorUrl from '../worklets/pitchShiftProcessor.js?url';
+
+// Number of progress updates reported while rendering an export
+const EXPORT_PROGRESS_STEPS = 50;
+
+// Sweep and automation-lane scheduling: parameter changes are written ahead on the
+// audio clock, so a throttled timer only has to top them up, never drive them
+const SCHEDULE_LOOKAHEAD = 2; // seconds scheduled ahead of ctx.currentTime
+const SCHEDULER_TICK_MS = 250;
+const SWEEP_STEP = 0.02; // seconds between sweep automation points
+
+// Linear-phase mode: how often the kernel follows a running sweep / lane, and the
+// crossfade used whenever a new kernel (or the other filter engine) takes over
+const LINEAR_PHASE_TICK_MS = 100;
+const KERNEL_FADE = 0.05; // seconds
+
+// Auto-gain: matches the filtered loudness to the unfiltered one (both K-weighted)
+const AUTO_GAIN_TICK_MS = 100;
+const AUTO_GAIN_TIME_CONSTANT = 1; // seconds of loudness averaging
+const AUTO_GAIN_SWEEP_TIME_CONSTANT = [4, 30]; // clamp for sweeps: averaged over ~one cycle
+const AUTO_GAIN_RANGE_DB = [-12, 24];
+const AUTO_GAIN_GATE_LUFS = -60; // below this the input counts as silence and the gain holds
+
+// Long files are streamed through a media element instead of decoded up front
+// (a 90 minute set is ~2GB as float PCM). Files above STREAM_PROBE_BYTES get their
+// duration checked; they stream if long enough, or if they are simply that big.
+const STREAM_PROBE_BYTES = 8 * 1024 * 1024;
+const STREAM_MIN_BYTES = 200 * 1024 * 1024;
+const STREAM_MIN_SECONDS = 20 * 60;
+const STREAM_RESYNC = 0.05; // seconds of clock drift after which lane playback is rescheduled
+// Exporting a streamed track decodes all of it; beyond this (estimated float PCM) it is refused
+const STREAM_EXPORT_MAX_BYTES = 1024 * 1024 * 1024;
+
+// Track changes: the upcoming track is decoded ahead and started on the audio clock,
+// either exactly where the current one ends (gapless) or overlapping it by the crossfade
+export const MAX_CROSSFADE = 12; // seconds
+const FADE_CURVE_POINTS = 64;
+
+// Recordings of the processed output: first container the browser's MediaRecorder supports,
+// with data flushed every second so a long take isn't held in one piece
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const RECORDING_TIMESLICE_MS = 1000;
+
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 2;
+
+// 'pass' keeps the band between the cutoffs, 'reject' removes it, 'multi' adds extra
+// pass bands (summed in parallel with the main one), each with gain / mute / solo
+export const FILTER_MODES = ['pass', 'reject', 'multi'];
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Filter design plus its stage Qs and cutoff scale (see utils/filterDesign)
+const resolveDesign = (design) => {
+    const qs = stageQs(design);
+    return { ...design, qs, scale: cutoffScale(qs, design.topology) };
+};
+
+// Linear level of a band in the multi-band mix (muted, or silenced by another band's solo)
+const bandLevel = (band, anySolo) => (band.muted || (anySolo && !band.solo) ? 0 : dbToGain(band.gainDb));
+
+// Ranges (with linear gains) a filter mode passes for main cutoffs { minHz, maxHz }.
+// Used for the linear-phase kernel and the band layer of the waveform overview.
+export const passRanges = (mode, { minHz, maxHz }, main, bands) => {
+    if (mode === 'reject') {
+        return [{ lowHz: 0, highHz: minHz, gain: 1 }, { lowHz: maxHz, highHz: Infinity, gain: 1 }];
+    }
+    if (mode === 'multi') {
+        const anySolo = main.solo || bands.some(b => b.solo);
+        return [
+            { lowHz: minHz, highHz: maxHz, gain: bandLevel(main, anySolo) },
+            ...bands.map(band => ({ lowHz: band.lowHz, highHz: band.highHz, gain: bandLevel(band, anySolo) }))
+        ];
+    }
+    return [{ lowHz: minHz, highHz: maxHz, gain: 1 }];
+};
+
+// Equal-power fade (quarter sine / cosine): the summed power of both tracks stays constant
+const fadeCurve = (fadeIn) => {
+    const curve = new Float32Array(FADE_CURVE_POINTS);
+    for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+        const angle = (i / (FADE_CURVE_POINTS - 1)) * (Math.PI / 2);
+        curve[i] = fadeIn ? Math.sin(angle) : Math.cos(angle);
+    }
+    return curve;
+};
+
+// Copy of an AudioBuffer without its first `offset` frames
+const trimStart = (buffer, offset, length) => {
+    const trimmed = new AudioBuffer({ numberOfChannels: buffer.numberOfChannels, length, sampleRate: buffer.sampleRate });
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        trimmed.copyToChannel(buffer.getChannelData(c).subarray(offset, offset + length), c);
+    }
+    return trimmed;
+};
 
 export function useAudioEngine(onEnded) {
     const [isPlaying, setIsPlaying] = useState(false);
@@ -6,22 +109,140 @@ export function useAudioEngine(onEnded) {
     const [currentTime, setCurrentTime] = useState(0);
     const [isReady, setIsReady] = useState(false);
 
+    // Latest end-of-track handler, so a source started earlier follows the current play mode
+    const onEndedRef = useRef(onEnded);
+    useLayoutEffect(() => {
+        onEndedRef.current = onEnded;
+    });
+    // Exposed as state (not read from the ref at render time) so consumers re-render once it exists
+    const [analyser, setAnalyser] = useState(null);
+    // False when AudioWorklet is unavailable: speed changes then also change pitch
+    const [canShiftPitch, setCanShiftPitch] = useState(false);
+    // Delay (seconds) added by the filter engine: 0 for biquads, taps / 2 for linear phase
+    const [filterLatency, setFilterLatency] = useState(0);
+
     // Audio Context & Nodes Refs
     const audioContextRef = useRef(null);
     const sourceNodeRef = useRef(null);
     const gainNodeRef = useRef(null);
     const analyserNodeRef = useRef(null);
 
-    // High-Fidelity Filter Chain Refs (4x HighPass, 4x LowPass)
+    // Output stage: filter sum -> auto-gain -> output gain (gainNodeRef) -> limiter -> analyser
+    const filterOutputRef = useRef(null);
+    const autoGainNodeRef = useRef(null);
+    const limiterRef = useRef(null);
+    // K-weighted analysers before / after the filters and on the output, with scratch buffers
+    const metersRef = useRef(null);
+    // { enabled, timer, refPower, bandPower, gainDb }
+    const autoGainRef = useRef({ enabled: false, timer: null, refPower: 0, bandPower: 0, gainDb: 0 });
+    const outputGainDbRef = useRef(0);
+
+    // Entry point every source connects to; feeds the pitch shifter (if loaded), the stereo
+    // stage, then the filters
+    const inputNodeRef = useRef(null);
+    const pitchShifterRef = useRef(null);
+    const workletLoadRef = useRef(null);
+
+    // Stereo stage ({ input, output, gains }) and its setting (see utils/stereo)
+    const stereoStageRef = useRef(null);
+    const stereoRef = useRef({ mode: 'stereo', balance: 0 });
+
+    // High-Fidelity Filter Chain Refs (4x HighPass, 4x LowPass) for the main band.
+    // They always hold the nodes driven by minHz / maxHz; in 'reject' mode their types swap.
     const highPassFiltersRef = useRef([]);
     const lowPassFiltersRef = useRef([]);
 
-    // Audio Buffer
+    // Multi-band: post-pitch-shift split point, the main band's input gain and the
+    // extra branches by band id ({ input, highPass, lowPass })
+    const filterInputRef = useRef(null);
+    const mainBandInputRef = useRef(null);
+    const bandNodesRef = useRef(new Map());
+    const filterModeRef = useRef('pass');
+    const bandsRef = useRef({ bands: [], main: { gainDb: 0, muted: false, solo: false } });
+
+    // The biquad bands and the linear-phase path each sum into their own output gain,
+    // so the two engines can be crossfaded (A/B)
+    const iirOutputRef = useRef(null);
+    const linearInputRef = useRef(null);
+    const linearOutputRef = useRef(null);
+
+    // Linear-phase state. Two convolvers take turns: a new kernel loads into the idle one,
+    // which fades in once its history has filled. { mode: 'iir' | 'linear', taps,
+    // convolvers: [{ node, gain }], active, key (of the loaded kernel), connected,
+    // swap (timeout while a crossfade is in progress), pending, timer }
+    const linearPhaseRef = useRef({
+        mode: 'iir',
+        taps: DEFAULT_LINEAR_PHASE_TAPS,
+        convolvers: null,
+        active: 0,
+        key: null,
+        connected: false,
+        swap: null,
+        pending: false,
+        timer: null
+    });
+
+    // Slope / topology / resonance of every cascade, with the derived stage Qs and cutoff scale
+    const filterDesignRef = useRef(null);
+    if (!filterDesignRef.current) filterDesignRef.current = resolveDesign(DEFAULT_FILTER_DESIGN);
+
+    // Audio Buffer (decoded tracks) or the media element of a streamed one: { file, media, node, url }
     const audioBufferRef = useRef(null);
+    const streamRef = useRef(null);
+    const [isStreaming, setIsStreaming] = useState(false);
+    const loadIdRef = useRef(0);
     const startTimeRef = useRef(0);
     const pauseTimeRef = useRef(0);
     const animationFrameRef = useRef(null);
 
+    // Last requested cutoffs (applied to nodes created later, and used for export)
+    const rangeRef = useRef({ minHz: 20, maxHz: 20000 });
+
+    // Running sweep: { config, phase0, t0, scheduledUntil, timer }
+    const sweepRef = useRef(null);
+
+    // Recorded lane replayed against the track position: { points, scheduledUntil, timer }
+    const automationRef = useRef({ points: null, scheduledUntil: 0, timer: null });
+
+    // A/B loop region { start, end } in track seconds, or null
+    const loopRef = useRef(null);
+
+    // Speed and pitch: track seconds advance `rate` times faster than the audio clock
+    const rateRef = useRef(1);
+    const pitchRef = useRef({ semitones: 0, preservePitch: true });
+
+    // Track changes: the current buffer source's own gain (faded out by a crossfade), the key
+    // of the loaded track, and the preloaded upcoming one { key, buffer, source, gain, startAt, timer }
+    // (source / gain / startAt / timer are set while its start is scheduled), and the previous
+    // track while it fades out { source, gain }
+    const sourceGainRef = useRef(null);
+    const outgoingRef = useRef(null);
+    const trackKeyRef = useRef(null);
+    const nextTrackRef = useRef(null);
+    const preloadIdRef = useRef(0);
+    const crossfadeRef = useRef(0);
+
+    // Live input (getUserMedia) feeding the chain in place of a file: { stream, node }
+    const liveRef = useRef(null);
+    const [isLive, setIsLive] = useState(false);
+    // Last stage before the speakers; muting it keeps meters, spectrum and recording running
+    const monitorNodeRef = useRef(null);
+    const monitorMutedRef = useRef(false);
+    // Recording of the processed output: { recorder, destination, done (Promise<Blob>) }
+    const recordingRef = useRef(null);
+    const [isRecording, setIsRecording] = useState(false);
+
+    useEffect(() => () => {
+        closeStream(streamRef.current);
+        if (nextTrackRef.current) clearTimeout(nextTrackRef.current.timer);
+        if (liveRef.current) liveRef.current.stream.getTracks().forEach(track => track.stop());
+        if (recordingRef.current) recordingRef.current.recorder.stop();
+        if (sweepRef.current) clearInterval(sweepRef.current.timer);
+        clearInterval(automationRef.current.timer);
+        clearInterval(linearPhaseRef.current.timer);
+        clearInterval(autoGainRef.current.timer);
+    }, []);
+
     const initAudioContext = useCallback(() => {
         if (!audioContextRef.current) {
             const AudioCtx = window.AudioContext || window.webkitAudioContext;
@@ -32,54 +253,276 @@ export function useAudioEngine(onEnded) {
         }
     }, []);
 
+    // One biquad per stage of the current design on each side (e.g. 4 + 4 for 48dB/oct)
     const createFilterChain = (ctx) => {
-        const highPass = [];
-        const lowPass = [];
-
-        // Create 4 HighPass filters for 48dB/oct steepness
-        for (let i = 0; i < 4; i++) {
+        const { qs } = filterDesignRef.current;
+        const createStages = (type, frequency) => qs.map(q => {
             const node = ctx.createBiquadFilter();
-            node.type = 'highpass';
-            node.frequency.value = 20; // Default: allow all
-            node.Q.value = 0.707; // Butterworth
-            highPass.push(node);
+            node.type = type;
+            node.frequency.value = frequency; // Default: allow all
+            node.Q.value = q;
+            return node;
+        });
+        return { highPass: createStages('highpass', 20), lowPass: createStages('lowpass', 20000) };
+    };
+
+    // Node frequency that puts the cascade's -3dB (Butterworth) / -6dB (Linkwitz-Riley)
+    // point at hz; only differs from hz when resonance is added
+    const nodeFrequency = (node, hz) => {
+        const { scale } = filterDesignRef.current;
+        return node.type === 'highpass' ? hz * scale : hz / scale;
+    };
+
+    // Write a { minHz, maxHz } range to a band's cascades through `write(param, value)`
+    const writeCutoffs = (highPass, lowPass, { minHz, maxHz }, write) => {
+        highPass.forEach(node => write(node.frequency, nodeFrequency(node, Math.max(20, minHz))));
+        lowPass.forEach(node => write(node.frequency, nodeFrequency(node, Math.min(20000, maxHz))));
+    };
+
+    // Wire a band's cascades between input and output.
+    // pass:   input -> HP1..HP4 -> LP1..LP4 -> output
+    // reject: input -> (LP1..LP4 at minHz) + (HP1..HP4 at maxHz) -> output
+    const connectBand = (input, highPass, lowPass, output, mode = 'pass') => {
+        const reject = mode === 'reject';
+        highPass.forEach(node => { node.disconnect(); node.type = reject ? 'lowpass' : 'highpass'; });
+        lowPass.forEach(node => { node.disconnect(); node.type = reject ? 'highpass' : 'lowpass'; });
+        for (let i = 0; i < highPass.length - 1; i++) highPass[i].connect(highPass[i + 1]);
+        for (let i = 0; i < lowPass.length - 1; i++) lowPass[i].connect(lowPass[i + 1]);
+
+        input.connect(highPass[0]);
+        if (reject) {
+            input.connect(lowPass[0]);
+            highPass[highPass.length - 1].connect(output);
+        } else {
+            highPass[highPass.length - 1].connect(lowPass[0]);
         }
+        lowPass[lowPass.length - 1].connect(output);
+    };
 
-        // Create 4 LowPass filters for 48dB/oct steepness
-        for (let i = 0; i < 4; i++) {
-            const node = ctx.createBiquadFilter();
-            node.type = 'lowpass';
-            node.frequency.value = 20000; // Default: allow all
-            node.Q.value = 0.707; // Butterworth
-            lowPass.push(node);
+    // Register the time-stretch processor once per context (resolves false if unsupported)
+    const loadPitchShifter = (ctx) => {
+        if (!workletLoadRef.current) {
+            workletLoadRef.current = ctx.audioWorklet
+                ? ctx.audioWorklet.addModule(pitchShiftProcessorUrl).then(() => true).catch(err => {
+                    console.error("Failed to load pitch shifter:", err);
+                    return false;
+                })
+                : Promise.resolve(false);
+        }
+        return workletLoadRef.current;
+    };
+
+    // Pitch correction applied after playbackRate: cancel the rate's pitch change
+    // (when preserving pitch) and add the requested semitone shift
+    const pitchRatio = () => {
+        const { semitones, preservePitch } = pitchRef.current;
+        // A live input runs in real time, so there is no speed change to compensate
+        const rate = liveRef.current ? 1 : rateRef.current;
+        const ratio = Math.pow(2, semitones / 12) / (preservePitch ? rate : 1);
+        return Math.min(8, Math.max(0.125, ratio));
+    };
+
+    const applyPitch = () => {
+        const shifter = pitchShifterRef.current;
+        if (!shifter) return;
+        const ctx = audioContextRef.current;
+        shifter.parameters.get('pitchRatio').setValueAtTime(pitchRatio(), ctx.currentTime);
+    };
+
+    // Splitter -> 2x2 gain matrix -> merger. Mono sources are upmixed to both channels first.
+    const createStereoStage = (ctx) => {
+        // The splitter itself must stay 'discrete', so the upmix happens on a stereo gain node
+        const input = ctx.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+        const splitter = ctx.createChannelSplitter(2);
+        input.connect(splitter);
+        const output = ctx.createChannelMerger(2);
+        const gains = {};
+        [['ll', 0, 0], ['rl', 1, 0], ['lr', 0, 1], ['rr', 1, 1]].forEach(([key, from, to]) => {
+            gains[key] = ctx.createGain();
+            splitter.connect(gains[key], from);
+            gains[key].connect(output, 0, to);
+        });
+        return { input, output, gains };
+    };
+
+    const writeStereoMatrix = (stage, write) => {
+        const { mode, balance } = stereoRef.current;
+        const matrix = stereoMatrix(mode, balance);
+        Object.keys(stage.gains).forEach(key => write(stage.gains[key].gain, matrix[key]));
+    };
+
+    // Create the persistent processing nodes once per context
+    const ensureNodes = (ctx, withPitchShifter = false) => {
+        if (gainNodeRef.current) return;
+        inputNodeRef.current = ctx.createGain();
+        gainNodeRef.current = ctx.createGain();
+        analyserNodeRef.current = ctx.createAnalyser();
+        analyserNodeRef.current.fftSize = 2048;
+
+        const { highPass, lowPass } = createFilterChain(ctx);
+        highPassFiltersRef.current = highPass;
+        lowPassFiltersRef.current = lowPass;
+
+        // Input -> [Pitch Shifter] -> Stereo -> Filter Input -> Main Band (+ extra bands) -> IIR Output -> Gain -> Analyser -> Monitor -> Dest
+        //                                                    \-> Linear Input -> Convolver A / B -> Linear Output -/
+        filterInputRef.current = ctx.createGain();
+        iirOutputRef.current = ctx.createGain();
+        filterOutputRef.current = ctx.createGain();
+        iirOutputRef.current.connect(filterOutputRef.current);
+        const stereo = createStereoStage(ctx);
+        stereoStageRef.current = stereo;
+        writeStereoMatrix(stereo, (param, value) => { param.value = value; });
+        stereo.output.connect(filterInputRef.current);
+        if (withPitchShifter) {
+            pitchShifterRef.current = new AudioWorkletNode(ctx, 'pitch-shift-processor', { outputChannelCount: [2] });
+            inputNodeRef.current.connect(pitchShifterRef.current);
+            pitchShifterRef.current.connect(stereo.input);
+            applyPitch();
+        } else {
+            inputNodeRef.current.connect(stereo.input);
         }
+        mainBandInputRef.current = ctx.createGain();
+        filterInputRef.current.connect(mainBandInputRef.current);
+        connectBand(mainBandInputRef.current, highPass, lowPass, iirOutputRef.current, filterModeRef.current);
+        writeCutoffs(highPass, lowPass, rangeRef.current, (param, hz) => { param.value = hz; });
+        syncBands();
 
-        // Connect them efficiently: HP1->HP2->HP3->HP4->LP1->LP2->LP3->LP4
-        // Connect standard chain
-        // Helper to connect an array series
+        linearInputRef.current = ctx.createGain();
+        linearOutputRef.current = ctx.createGain();
+        linearOutputRef.current.gain.value = 0;
+        linearPhaseRef.current.convolvers = [0, 1].map(() => {
+            const node = ctx.createConvolver();
+            node.normalize = false; // The kernel already has unity passband gain
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+            linearInputRef.current.connect(node);
+            node.connect(gain);
+            gain.connect(linearOutputRef.current);
+            return { node, gain };
+        });
+        linearOutputRef.current.connect(filterOutputRef.current);
+        if (linearPhaseRef.current.mode === 'linear') enableLinearPhase();
+
+        // Filter Output -> Auto Gain -> Gain -> Limiter -> Analyser -> Monitor -> Dest
+        autoGainNodeRef.current = ctx.createGain();
+        autoGainNodeRef.current.gain.value = dbToGain(autoGainRef.current.gainDb);
+        gainNodeRef.current.gain.value = dbToGain(outputGainDbRef.current);
+        limiterRef.current = ctx.createDynamicsCompressor();
+        limiterRef.current.threshold.value = -1;
+        limiterRef.current.knee.value = 0;
+        limiterRef.current.ratio.value = 20;
+        limiterRef.current.attack.value = 0.003;
+        limiterRef.current.release.value = 0.1;
+        filterOutputRef.current.connect(autoGainNodeRef.current);
+        autoGainNodeRef.current.connect(gainNodeRef.current);
+        gainNodeRef.current.connect(limiterRef.current);
+        limiterRef.current.connect(analyserNodeRef.current);
+        monitorNodeRef.current = ctx.createGain();
+        monitorNodeRef.current.gain.value = monitorMutedRef.current ? 0 : 1;
+        analyserNodeRef.current.connect(monitorNodeRef.current);
+        monitorNodeRef.current.connect(ctx.destination);
+        setAnalyser(analyserNodeRef.current);
 
-        return { highPass, lowPass };
+        // Meter taps: unfiltered (after the stereo stage), filtered (before auto-gain), output
+        const createMeter = (tap, fftSize) => {
+            const weighting = createKWeighting(ctx);
+            const analyserNode = ctx.createAnalyser();
+            analyserNode.fftSize = fftSize;
+            tap.connect(weighting.input);
+            weighting.output.connect(analyserNode);
+            return { analyser: analyserNode, data: new Float32Array(fftSize) };
+        };
+        metersRef.current = {
+            reference: createMeter(filterInputRef.current, 8192),
+            band: createMeter(filterOutputRef.current, 8192),
+            output: createMeter(limiterRef.current, 16384),
+            samples: new Float32Array(analyserNodeRef.current.fftSize)
+        };
     };
 
-    const loadFile = async (file) => {
+    // Media element for a file, resolved once its duration is known (null if it can't play it)
+    const openStream = (file) => new Promise(resolve => {
+        const url = URL.createObjectURL(file);
+        const media = new Audio();
+        media.preload = 'auto';
+        // Speed changes pitch like a buffer source; the pitch shifter compensates (see applyPitch)
+        media.preservesPitch = false;
+        media.onloadedmetadata = () => resolve({ file, media, url, node: null });
+        media.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve(null);
+        };
+        media.src = url;
+    });
+
+    // Release a stream: stop the element, detach it from the graph and free the blob URL
+    const closeStream = (stream) => {
+        if (!stream) return;
+        stream.media.onended = null;
+        stream.media.pause();
+        stream.media.removeAttribute('src');
+        stream.media.load();
+        if (stream.node) stream.node.disconnect();
+        URL.revokeObjectURL(stream.url);
+    };
+
+    // Load a track. `key` identifies it (e.g. the library id) so a preloaded copy can be reused.
+    const loadFile = async (file, key = null) => {
+        // Already playing: a gapless transition started it
+        if (key !== null && key === trackKeyRef.current && sourceNodeRef.current) return;
+
+        const loadId = ++loadIdRef.current;
         initAudioContext();
         setIsPlaying(false);
         setIsReady(false);
 
-        // Stop previous
-        if (sourceNodeRef.current) {
-            const oldSource = sourceNodeRef.current;
-            sourceNodeRef.current = null; // Prevent onended from triggering onNext
-            try { oldSource.stop(); } catch (e) { }
-            oldSource.disconnect();
-        }
+        const next = nextTrackRef.current;
+        const preloaded = key !== null && next && next.key === key ? next.buffer : null;
+        dropNextTrack();
+
+        // Stop previous (without triggering onNext)
+        stopSource();
+        closeStream(streamRef.current);
+        streamRef.current = null;
+        audioBufferRef.current = null;
+        trackKeyRef.current = key;
 
-        const arrayBuffer = await file.arrayBuffer();
         const ctx = audioContextRef.current;
+        const hasWorklet = await loadPitchShifter(ctx);
+        ensureNodes(ctx, hasWorklet);
+        setCanShiftPitch(Boolean(pitchShifterRef.current));
+
+        let stream = !preloaded && file.size >= STREAM_PROBE_BYTES ? await openStream(file) : null;
+        // Short enough to decode; so are files without a usable duration (the element can't seek them)
+        const streamDuration = stream ? stream.media.duration : 0;
+        if (stream && (!Number.isFinite(streamDuration) || (file.size < STREAM_MIN_BYTES && streamDuration < STREAM_MIN_SECONDS))) {
+            closeStream(stream);
+            stream = null;
+        }
+        if (loadId !== loadIdRef.current) {
+            closeStream(stream);
+            return;
+        }
+
+        if (stream) {
+            stream.node = ctx.createMediaElementSource(stream.media);
+            streamRef.current = stream;
+            setIsStreaming(true);
+            setDuration(stream.media.duration);
+            setIsReady(true);
+            pauseTimeRef.current = 0;
+            setCurrentTime(0);
+            return;
+        }
 
         try {
-            const decodedData = await ctx.decodeAudioData(arrayBuffer);
+            const decodedData = preloaded || await ctx.decodeAudioData(await file.arrayBuffer());
+            if (loadId !== loadIdRef.current) return;
             audioBufferRef.current = decodedData;
+            setIsStreaming(false);
             setDuration(decodedData.duration);
             setIsReady(true);
             pauseTimeRef.current = 0;
@@ -89,58 +532,85 @@ export function useAudioEngine(onEnded) {
         }
     };
 
-    const play = () => {
-        if (!isReady || !audioBufferRef.current) return;
+    // Length of the loaded track in seconds (0 if nothing is loaded)
+    const trackDuration = () => {
+        if (audioBufferRef.current) return audioBufferRef.current.duration;
+        return streamRef.current ? streamRef.current.media.duration : 0;
+    };
+
+    // Stops the running source without triggering onEnded
+    const stopSource = () => {
+        cancelTransition();
+        releaseOutgoing();
+        const source = sourceNodeRef.current;
+        if (!source) return;
+        sourceNodeRef.current = null; // Important for onended logic
+        if (streamRef.current && source === streamRef.current.node) {
+            streamRef.current.media.pause();
+        } else {
+            try { source.stop(); } catch { /* already stopped */ }
+        }
+        source.disconnect();
+        if (sourceGainRef.current) {
+            sourceGainRef.current.disconnect();
+            sourceGainRef.current = null;
+        }
+        if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+        stopAutomation();
+    };
+
+    // Starts a fresh source node at the given offset (seconds)
+    const startSource = (startOffset) => {
         const ctx = audioContextRef.current;
-        initAudioContext();
+        if (streamRef.current) {
+            startStream(streamRef.current, startOffset);
+            return;
+        }
 
         // Re-create source node on every play (required by Web Audio API)
         const source = ctx.createBufferSource();
         source.buffer = audioBufferRef.current;
+        source.playbackRate.value = rateRef.current;
         sourceNodeRef.current = source;
 
-        // Create nodes if not exist
-        if (!gainNodeRef.current) {
-            gainNodeRef.current = ctx.createGain();
-            analyserNodeRef.current = ctx.createAnalyser();
-            analyserNodeRef.current.fftSize = 2048;
-
-            const { highPass, lowPass } = createFilterChain(ctx);
-            highPassFiltersRef.current = highPass;
-            lowPassFiltersRef.current = lowPass;
+        const loop = loopRef.current;
+        if (loop) {
+            source.loop = true;
+            source.loopStart = loop.start;
+            source.loopEnd = loop.end;
+            // Resuming past the loop would play on to the end; jump back into it instead
+            if (startOffset >= loop.end) startOffset = loop.start;
         }
 
-        // Connect Chain
-        // Source -> HP Chain -> LP Chain -> Gain -> Analyser -> Dest
-
-        const hps = highPassFiltersRef.current;
-        const lps = lowPassFiltersRef.current;
-
-        source.connect(hps[0]);
-        for (let i = 0; i < hps.length - 1; i++) hps[i].connect(hps[i + 1]);
-
-        hps[hps.length - 1].connect(lps[0]);
-
-        for (let i = 0; i < lps.length - 1; i++) lps[i].connect(lps[i + 1]);
+        // Create nodes if not exist
+        ensureNodes(ctx);
 
-        lps[lps.length - 1].connect(gainNodeRef.current);
-        gainNodeRef.current.connect(analyserNodeRef.current);
-        analyserNodeRef.current.connect(ctx.destination);
+        // Source -> own gain (faded by crossfades) -> Input (rest of the graph is wired once in ensureNodes)
+        const gain = ctx.createGain();
+        source.connect(gain);
+        gain.connect(inputNodeRef.current);
+        sourceGainRef.current = gain;
 
-        // Calculate start time
-        const startOffset = pauseTimeRef.current;
-        startTimeRef.current = ctx.currentTime - startOffset;
+        // Calculate start time (the context time at which track position 0 would have played)
+        const now = ctx.currentTime;
+        startTimeRef.current = now - startOffset / rateRef.current;
 
-        source.start(0, startOffset);
+        source.start(now, startOffset);
         setIsPlaying(true);
+        startAutomation(startOffset);
+        followSource(source);
+        scheduleTransition();
+    };
+
+    // Position updates and end-of-track handling for the current buffer source
+    const followSource = (source) => {
+        const ctx = audioContextRef.current;
 
         // Update Timer Loop
         const update = () => {
-            if (!sourceNodeRef.current) return;
-            const now = ctx.currentTime;
+            if (sourceNodeRef.current !== source) return;
             // Simple loop for visualization or time update
-            const elapsed = now - startTimeRef.current;
-            setCurrentTime(Math.min(elapsed, audioBufferRef.current.duration));
+            setCurrentTime(Math.min(positionAt(ctx.currentTime), audioBufferRef.current.duration));
 
             if (ctx.state === 'running') {
                 animationFrameRef.current = requestAnimationFrame(update);
@@ -150,53 +620,1096 @@ export function useAudioEngine(onEnded) {
 
         source.onended = () => {
             // Only trigger onEnded if it finished naturally (not stopped manually)
-            // When we pause, we set sourceNodeRef.current to null before calling stop()
+            // When we pause or seek, we set sourceNodeRef.current to null before calling stop()
             if (sourceNodeRef.current === source) {
+                // Ended just before the transition timer fired: hand over now
+                if (nextTrackRef.current && nextTrackRef.current.source) {
+                    promoteNext(true);
+                    return;
+                }
+                sourceNodeRef.current = null;
+                if (sourceGainRef.current) {
+                    sourceGainRef.current.disconnect();
+                    sourceGainRef.current = null;
+                }
+                setIsPlaying(false);
+                if (onEndedRef.current) onEndedRef.current();
+            }
+        };
+    };
+
+    // Streaming counterpart of startSource: the media element plays through the same graph.
+    // Its clock is the reference; startTimeRef follows it so positionAt / lane scheduling
+    // work unchanged. The A/B loop is applied by jumping back (frame accurate, not sample accurate).
+    const startStream = (stream, startOffset) => {
+        const ctx = audioContextRef.current;
+        const { media, node } = stream;
+
+        const loop = loopRef.current;
+        if (loop && startOffset >= loop.end) startOffset = loop.start;
+
+        ensureNodes(ctx);
+        node.connect(inputNodeRef.current);
+        sourceNodeRef.current = node;
+
+        media.playbackRate = rateRef.current;
+        media.currentTime = startOffset;
+        startTimeRef.current = ctx.currentTime - startOffset / rateRef.current;
+        media.play().catch(err => console.error("Error starting stream:", err));
+        setIsPlaying(true);
+        startAutomation(startOffset);
+
+        const update = () => {
+            if (sourceNodeRef.current !== node) return;
+            const loopNow = loopRef.current;
+            if (loopNow && media.currentTime >= loopNow.end) media.currentTime = loopNow.start;
+
+            // Re-anchor while the element is actually advancing (it starts late and may stall)
+            if (!media.paused && !media.seeking && media.readyState >= 3) {
+                const anchor = ctx.currentTime - media.currentTime / rateRef.current;
+                const drift = Math.abs(anchor - startTimeRef.current);
+                startTimeRef.current = anchor;
+                if (drift > STREAM_RESYNC && automationRef.current.timer) {
+                    stopAutomation();
+                    startAutomation(media.currentTime);
+                }
+            }
+            setCurrentTime(media.currentTime);
+
+            if (ctx.state === 'running') {
+                animationFrameRef.current = requestAnimationFrame(update);
+            }
+        };
+        update();
+
+        media.onended = () => {
+            if (sourceNodeRef.current === node) {
+                sourceNodeRef.current = null;
+                node.disconnect();
                 setIsPlaying(false);
-                if (onEnded) onEnded();
+                if (onEndedRef.current) onEndedRef.current();
             }
         };
     };
 
+    // Start the preloaded track where the current one ends on the audio clock (gapless), or
+    // `crossfade` seconds earlier with equal-power fades. Buffer sources outside a loop only.
+    const scheduleTransition = () => {
+        const next = nextTrackRef.current;
+        const buffer = audioBufferRef.current;
+        if (!next || next.source || !sourceNodeRef.current || !buffer || streamRef.current || loopRef.current) return;
+
+        const ctx = audioContextRef.current;
+        const rate = rateRef.current;
+        const endAt = ctxTimeAt(buffer.duration);
+        if (endAt <= ctx.currentTime) return;
+        // A fade never takes more than half of either track
+        const fade = Math.min(crossfadeRef.current, buffer.duration / rate / 2, next.buffer.duration / rate / 2);
+        const startAt = Math.max(endAt - fade, ctx.currentTime);
+
+        const source = ctx.createBufferSource();
+        source.buffer = next.buffer;
+        source.playbackRate.value = rate;
+        const gain = ctx.createGain();
+        source.connect(gain);
+        gain.connect(inputNodeRef.current);
+        if (endAt > startAt) {
+            gain.gain.setValueCurveAtTime(fadeCurve(true), startAt, endAt - startAt);
+            sourceGainRef.current.gain.setValueCurveAtTime(fadeCurve(false), startAt, endAt - startAt);
+        }
+        source.start(startAt);
+
+        next.source = source;
+        next.gain = gain;
+        next.startAt = startAt;
+        next.timer = setTimeout(() => promoteNext(false), Math.max(0, (startAt - ctx.currentTime) * 1000));
+    };
+
+    // Take back a scheduled start (seek, pause, loop, speed change...). The preloaded buffer is
+    // kept, so the transition is scheduled again once playback continues.
+    const cancelTransition = () => {
+        const next = nextTrackRef.current;
+        if (!next || !next.source) return;
+        clearTimeout(next.timer);
+        next.source.stop();
+        next.source.disconnect();
+        next.gain.disconnect();
+        next.source = null;
+        next.gain = null;
+        next.timer = null;
+
+        const gain = sourceGainRef.current;
+        if (gain) {
+            gain.gain.cancelScheduledValues(0);
+            gain.gain.setValueAtTime(1, audioContextRef.current.currentTime);
+        }
+    };
+
+    // Silence and detach the previous track if it is still fading out
+    const releaseOutgoing = () => {
+        const outgoing = outgoingRef.current;
+        if (!outgoing) return;
+        outgoingRef.current = null;
+        outgoing.source.onended = null;
+        outgoing.source.stop();
+        outgoing.source.disconnect();
+        outgoing.gain.disconnect();
+    };
+
+    // Forget the preloaded track (and any preload still decoding)
+    const dropNextTrack = () => {
+        cancelTransition();
+        nextTrackRef.current = null;
+        preloadIdRef.current++;
+    };
+
+    // The scheduled track has started: it becomes the current one, and onEnded is told the
+    // old one ended with playback already continuing ({ continued: true })
+    const promoteNext = (outgoingEnded) => {
+        const next = nextTrackRef.current;
+        if (!next || !next.source) return;
+        clearTimeout(next.timer);
+        nextTrackRef.current = null;
+
+        // The outgoing source plays out its fade; it is no longer current, so it ends quietly
+        releaseOutgoing();
+        const outgoing = { source: sourceNodeRef.current, gain: sourceGainRef.current };
+        if (outgoingEnded) {
+            outgoing.source.disconnect();
+            outgoing.gain.disconnect();
+        } else {
+            outgoingRef.current = outgoing;
+            outgoing.source.onended = releaseOutgoing;
+        }
+        if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+        stopAutomation();
+
+        // The same track again (repeat-one) keeps its lane; another one gets its own from setAutomation
+        const isRepeat = next.key === trackKeyRef.current;
+        sourceNodeRef.current = next.source;
+        sourceGainRef.current = next.gain;
+        audioBufferRef.current = next.buffer;
+        trackKeyRef.current = next.key;
+        startTimeRef.current = next.startAt;
+        pauseTimeRef.current = 0;
+        setDuration(next.buffer.duration);
+        followSource(next.source);
+        if (isRepeat && automationRef.current.points) {
+            startAutomation(Math.max(0, positionAt(audioContextRef.current.currentTime)));
+        }
+        if (onEndedRef.current) onEndedRef.current({ continued: true });
+    };
+
+    // Decode the track expected to play next (null to clear it) so it can follow without a gap.
+    // Streamed tracks are not preloaded, nor followed: they change tracks the usual way.
+    const preloadNext = async (file, key) => {
+        const ctx = audioContextRef.current;
+        if (file && nextTrackRef.current && nextTrackRef.current.key === key) return;
+        dropNextTrack();
+        if (!file || !ctx || streamRef.current || file.size >= STREAM_MIN_BYTES) return;
+
+        const preloadId = preloadIdRef.current;
+        const loadId = loadIdRef.current;
+        // Repeating the loaded track reuses its buffer
+        let buffer = key === trackKeyRef.current ? audioBufferRef.current : null;
+        if (!buffer) {
+            try {
+                buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+            } catch (err) {
+                console.error("Error preloading audio:", err);
+                return;
+            }
+        }
+        if (preloadId !== preloadIdRef.current || loadId !== loadIdRef.current) return;
+        // loadFile would stream this one
+        if (file.size >= STREAM_PROBE_BYTES && buffer.duration >= STREAM_MIN_SECONDS) return;
+
+        nextTrackRef.current = { key, buffer, source: null, gain: null, startAt: 0, timer: null };
+        scheduleTransition();
+    };
+
+    // Overlap between tracks in seconds (0 = gapless); a scheduled transition is redone
+    const setCrossfade = (seconds) => {
+        crossfadeRef.current = Math.min(MAX_CROSSFADE, Math.max(0, seconds));
+        cancelTransition();
+        scheduleTransition();
+    };
+
+    // Not while live input runs: the file would mix in with it (stop the input first)
+    const play = () => {
+        if (!isReady || !trackDuration() || liveRef.current) return;
+        initAudioContext();
+        startSource(pauseTimeRef.current);
+    };
+
     const pause = () => {
         if (!sourceNodeRef.current) return;
-        const ctx = audioContextRef.current;
-        const source = sourceNodeRef.current;
-        sourceNodeRef.current = null; // Important for onended logic
-        source.stop();
-        source.disconnect();
 
         // Save time
-        pauseTimeRef.current = ctx.currentTime - startTimeRef.current;
+        const position = getPosition();
+        stopSource();
+        pauseTimeRef.current = position;
         setIsPlaying(false);
-        if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+    };
+
+    // Jump to an absolute position (seconds). Works while playing or paused.
+    const seek = (seconds) => {
+        if (!trackDuration()) return;
+        const target = Math.min(Math.max(0, seconds), trackDuration());
+        pauseTimeRef.current = target;
+        setCurrentTime(target);
+
+        // While playing, swap in a new source at the offset (old one must not fire onEnded)
+        if (sourceNodeRef.current) {
+            stopSource();
+            startSource(target);
+        }
+    };
+
+    // Loop (or stop looping) a region of the track, e.g. to repeat a few bars.
+    // The playing source is updated in place, so there is no gap or restart.
+    const setLoop = (region) => {
+        const loop = region && region.end > region.start ? { start: region.start, end: region.end } : null;
+        const source = sourceNodeRef.current;
+        if (!source) {
+            loopRef.current = loop;
+            return;
+        }
+
+        // Re-anchor the clock bookkeeping at the current position before the mapping changes
+        const ctx = audioContextRef.current;
+        const position = getPosition();
+        cancelTransition();
+        loopRef.current = loop;
+        startTimeRef.current = ctx.currentTime - position / rateRef.current;
+
+        if (loop && position >= loop.end) {
+            seek(loop.start);
+            return;
+        }
+        if (streamRef.current) return; // the stream's update loop applies it
+        source.loop = Boolean(loop);
+        if (loop) {
+            source.loopStart = loop.start;
+            source.loopEnd = loop.end;
+        }
+        if (automationRef.current.timer) {
+            stopAutomation();
+            startAutomation(position);
+        }
+        scheduleTransition();
+    };
+
+    // Playback speed (MIN_PLAYBACK_RATE..MAX_PLAYBACK_RATE). Pitch is kept unless
+    // preservePitch is off. Applies in place while playing.
+    const setPlaybackRate = (rate) => {
+        rate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate));
+        const source = sourceNodeRef.current;
+        if (!source) {
+            rateRef.current = rate;
+            applyPitch();
+            return;
+        }
+
+        // Re-anchor so the current position maps to now at the new rate
+        const ctx = audioContextRef.current;
+        const now = ctx.currentTime;
+        const position = getPosition();
+        cancelTransition();
+        rateRef.current = rate;
+        startTimeRef.current = now - position / rate;
+        if (streamRef.current) streamRef.current.media.playbackRate = rate;
+        else source.playbackRate.setValueAtTime(rate, now);
+        applyPitch();
+
+        // Lane points are track-timed, so their context times have moved
+        if (automationRef.current.timer) {
+            stopAutomation();
+            startAutomation(position);
+        }
+        scheduleTransition();
+    };
+
+    // Pitch shift in semitones on top of the speed change
+    const setPitchShift = (semitones, preservePitch = pitchRef.current.preservePitch) => {
+        pitchRef.current = { semitones, preservePitch };
+        applyPitch();
+    };
+
+    // Context time at which a raw (unwrapped) track position plays
+    const ctxTimeAt = (raw) => startTimeRef.current + raw / rateRef.current;
+
+    // Track position at a context time. startTimeRef anchors the first pass; once the
+    // playhead reaches loop.end each further pass is one loop length later.
+    const positionAt = (ctxTime) => {
+        const raw = (ctxTime - startTimeRef.current) * rateRef.current;
+        const loop = loopRef.current;
+        if (!loop || raw < loop.end) return raw;
+        return loop.start + ((raw - loop.start) % (loop.end - loop.start));
+    };
+
+    // Split a context-time window into per-pass track segments:
+    // [{ shift, from, to }] where a track position p in [from, to] plays at ctxTimeAt(p + shift)
+    const trackSegments = (fromCtx, toCtx) => {
+        const rawFrom = (fromCtx - startTimeRef.current) * rateRef.current;
+        const rawTo = (toCtx - startTimeRef.current) * rateRef.current;
+        const loop = loopRef.current;
+        if (!loop || rawTo < loop.end) return [{ shift: 0, from: rawFrom, to: rawTo }];
+
+        const length = loop.end - loop.start;
+        const segments = [];
+        let pass = rawFrom < loop.end ? 0 : Math.floor((rawFrom - loop.start) / length);
+        for (; ; pass++) {
+            const shift = pass * length;
+            const from = Math.max(rawFrom - shift, pass === 0 ? rawFrom : loop.start);
+            const to = Math.min(rawTo - shift, loop.end);
+            segments.push({ shift, from, to });
+            if (rawTo - shift < loop.end) break;
+        }
+        return segments;
+    };
+
+    // Create / update / remove the extra band branches and apply the mix levels
+    const syncBands = () => {
+        const ctx = audioContextRef.current;
+        if (!ctx || !filterInputRef.current) return;
+        const now = ctx.currentTime;
+        const isMulti = filterModeRef.current === 'multi';
+        const { bands: allBands, main } = bandsRef.current;
+        const bands = isMulti ? allBands : [];
+        const anySolo = main.solo || bands.some(b => b.solo);
+        const branches = bandNodesRef.current;
+
+        branches.forEach((branch, id) => {
+            if (bands.some(b => b.id === id)) return;
+            branch.input.disconnect();
+            branch.lowPass[branch.lowPass.length - 1].disconnect();
+            branches.delete(id);
+        });
+
+        bands.forEach(band => {
+            let branch = branches.get(band.id);
+            if (!branch) {
+                branch = { input: ctx.createGain(), ...createFilterChain(ctx) };
+                branch.input.gain.value = 0;
+                filterInputRef.current.connect(branch.input);
+                connectBand(branch.input, branch.highPass, branch.lowPass, iirOutputRef.current);
+                branches.set(band.id, branch);
+            }
+            writeCutoffs(branch.highPass, branch.lowPass, { minHz: band.lowHz, maxHz: band.highHz }, (param, hz) =>
+                param.setTargetAtTime(hz, now, 0.05)
+            );
+            branch.input.gain.setTargetAtTime(bandLevel(band, anySolo), now, 0.02);
+        });
+
+        mainBandInputRef.current.gain.setTargetAtTime(isMulti ? bandLevel(main, anySolo) : 1, now, 0.02);
+        updateLinearPhase();
+    };
+
+    // Rebuild every cascade after a mode change, or a design with another stage count.
+    // The main band keeps its cutoffs, and a running sweep or lane playback carries on.
+    const rebuildFilters = () => {
+        const ctx = audioContextRef.current;
+        if (!mainBandInputRef.current) return;
+
+        const sweep = sweepRef.current;
+        const sweepPhase = sweep ? sweep.phase0 + (ctx.currentTime - sweep.t0) * sweepRateHz(sweep.config) : 0;
+        const wasAutomating = Boolean(automationRef.current.timer);
+        stopSweep();
+        stopAutomation();
+
+        mainBandInputRef.current.disconnect();
+        [...highPassFiltersRef.current, ...lowPassFiltersRef.current].forEach(node => node.disconnect());
+        const { highPass, lowPass } = createFilterChain(ctx);
+        highPassFiltersRef.current = highPass;
+        lowPassFiltersRef.current = lowPass;
+        connectBand(mainBandInputRef.current, highPass, lowPass, iirOutputRef.current, filterModeRef.current);
+        writeCutoffs(highPass, lowPass, rangeRef.current, (param, hz) => { param.value = hz; });
+
+        // Extra bands are recreated from bandsRef
+        bandNodesRef.current.forEach(branch => {
+            branch.input.disconnect();
+            branch.lowPass[branch.lowPass.length - 1].disconnect();
+        });
+        bandNodesRef.current.clear();
+        syncBands();
+
+        if (sweep) beginSweep(sweep.config, sweepPhase);
+        if (wasAutomating) startAutomation(getPosition());
+    };
+
+    // Design change that keeps the stage count (resonance, or a topology with as many
+    // stages): glide the Qs and cutoffs of the existing nodes, as a rebuild would click.
+    // A running sweep or lane picks up the new cutoff scale as it schedules ahead.
+    const retuneFilters = () => {
+        const ctx = audioContextRef.current;
+        if (!mainBandInputRef.current) return;
+        const now = ctx.currentTime;
+        const { qs } = filterDesignRef.current;
+        const retune = (stages) => stages.forEach((node, i) => node.Q.setTargetAtTime(qs[i], now, 0.02));
+
+        retune(highPassFiltersRef.current);
+        retune(lowPassFiltersRef.current);
+        if (!sweepRef.current && !automationRef.current.timer) {
+            writeCutoffs(highPassFiltersRef.current, lowPassFiltersRef.current, rangeRef.current, (param, hz) =>
+                param.setTargetAtTime(hz, now, 0.02)
+            );
+        }
+
+        // Extra bands get their cutoffs rewritten (with the new scale) by syncBands
+        bandNodesRef.current.forEach(branch => {
+            retune(branch.highPass);
+            retune(branch.lowPass);
+        });
+        syncBands();
+    };
+
+    // Stereo stage: mode from STEREO_MODES, balance (-1 mid .. 1 side) for 'stereo' mode.
+    // Runs ahead of the filters, so e.g. 'mid' + 300-3000Hz is a rough vocal pull.
+    const setStereoMode = (mode, balance = 0) => {
+        stereoRef.current = { mode, balance };
+        const stage = stereoStageRef.current;
+        if (!stage) return;
+        const now = audioContextRef.current.currentTime;
+        writeStereoMatrix(stage, (param, value) => param.setTargetAtTime(value, now, 0.02));
+    };
+
+    // Output level trim in dB (applied after auto-gain, before the limiter)
+    const setOutputGain = (db) => {
+        outputGainDbRef.current = db;
+        const ctx = audioContextRef.current;
+        if (!ctx || !gainNodeRef.current) return;
+        gainNodeRef.current.gain.setTargetAtTime(dbToGain(db), ctx.currentTime, 0.02);
+    };
+
+    // Mean square of a meter tap's latest window
+    const readPower = (meter) => {
+        meter.analyser.getFloatTimeDomainData(meter.data);
+        return meanSquare(meter.data);
+    };
+
+    // Follow the loudness lost (or gained) by the filters. Powers are averaged with a
+    // time constant; while the sweep runs it stretches to about one sweep cycle so the
+    // gain settles on the sweep's average instead of pumping along with it.
+    const updateAutoGain = () => {
+        const auto = autoGainRef.current;
+        const meters = metersRef.current;
+        const ctx = audioContextRef.current;
+        if (!meters || !sourceNodeRef.current) return;
+
+        const refPower = readPower(meters.reference);
+        if (meanSquareToLufs(refPower) < AUTO_GAIN_GATE_LUFS) return;
+        const bandPower = readPower(meters.band);
+
+        const sweep = sweepRef.current;
+        const [minTau, maxTau] = AUTO_GAIN_SWEEP_TIME_CONSTANT;
+        const tau = sweep
+            ? Math.min(maxTau, Math.max(minTau, 1 / sweepRateHz(sweep.config)))
+            : AUTO_GAIN_TIME_CONSTANT;
+        const alpha = 1 - Math.exp(-AUTO_GAIN_TICK_MS / 1000 / tau);
+        auto.refPower += (refPower - auto.refPower) * alpha;
+        auto.bandPower += (bandPower - auto.bandPower) * alpha;
+
+        const [minDb, maxDb] = AUTO_GAIN_RANGE_DB;
+        const ratioDb = 10 * Math.log10(auto.refPower / Math.max(auto.bandPower, 1e-12));
+        auto.gainDb = Math.min(maxDb, Math.max(minDb, ratioDb));
+        autoGainNodeRef.current.gain.setTargetAtTime(dbToGain(auto.gainDb), ctx.currentTime, 0.1);
+    };
+
+    // Loudness compensation on/off. The limiter stays in the path either way.
+    const setAutoGain = (enabled) => {
+        const auto = autoGainRef.current;
+        if (auto.enabled === enabled) return;
+        auto.enabled = enabled;
+        clearInterval(auto.timer);
+        auto.timer = null;
+        auto.refPower = 0;
+        auto.bandPower = 0;
+        auto.gainDb = 0;
+        if (enabled) auto.timer = setInterval(updateAutoGain, AUTO_GAIN_TICK_MS);
+
+        const ctx = audioContextRef.current;
+        if (ctx && autoGainNodeRef.current) autoGainNodeRef.current.gain.setTargetAtTime(1, ctx.currentTime, 0.1);
+    };
+
+    // Current output levels for the meters (polled by the UI):
+    // { peakDb, rmsDb, lufs, autoGainDb, limiterDb }
+    const getLevels = () => {
+        const meters = metersRef.current;
+        if (!meters) return null;
+        analyserNodeRef.current.getFloatTimeDomainData(meters.samples);
+        return {
+            peakDb: amplitudeToDb(peakOf(meters.samples)),
+            rmsDb: amplitudeToDb(Math.sqrt(meanSquare(meters.samples))),
+            lufs: meanSquareToLufs(readPower(meters.output)),
+            autoGainDb: autoGainRef.current.enabled ? autoGainRef.current.gainDb : 0,
+            limiterDb: limiterRef.current.reduction
+        };
+    };
+
+    // Switch between FILTER_MODES
+    const setFilterMode = (mode) => {
+        if (filterModeRef.current === mode) return;
+        filterModeRef.current = mode;
+        rebuildFilters();
+    };
+
+    // Cascade design: { slope: 12|24|48|96, topology: 'butterworth'|'linkwitz-riley', resonanceDb }
+    const setFilterDesign = (design) => {
+        const stageCount = filterDesignRef.current.qs.length;
+        filterDesignRef.current = resolveDesign(design);
+        if (filterDesignRef.current.qs.length === stageCount) retuneFilters();
+        else rebuildFilters();
+    };
+
+    // Extra pass bands for 'multi' mode: [{ id, lowHz, highHz, gainDb, muted, solo }],
+    // plus the main band's mix settings ({ gainDb, muted, solo })
+    const setBands = (bands, main) => {
+        bandsRef.current = { bands, main };
+        syncBands();
     };
 
     const setFrequencyRange = (minHz, maxHz) => {
+        // A manual range always takes over from the sweep / lane playback
+        stopSweep();
+        stopAutomation();
+        rangeRef.current = { minHz, maxHz };
         const ctx = audioContextRef.current;
         if (!ctx) return;
         const now = ctx.currentTime;
 
-        // Update all High Pass filters (Cut below minHz)
-        highPassFiltersRef.current.forEach(node => {
-            node.frequency.setTargetAtTime(Math.max(20, minHz), now, 0.05); // Smooth transition
+        // High Pass stages cut below minHz, Low Pass stages above maxHz (smooth transition)
+        writeCutoffs(highPassFiltersRef.current, lowPassFiltersRef.current, { minHz, maxHz }, (param, hz) =>
+            param.setTargetAtTime(hz, now, 0.05)
+        );
+        updateLinearPhase();
+    };
+
+    // Ranges the current filter mode passes, for the linear-phase kernel
+    const kernelRanges = (range) => {
+        const { bands, main } = bandsRef.current;
+        return passRanges(filterModeRef.current, range, main, bands);
+    };
+
+    // Cutoffs in effect right now, following a running sweep or lane playback
+    const currentRange = () => {
+        if (sweepRef.current) return getSweepRange();
+        const auto = automationRef.current;
+        if (auto.timer) return automationValueAt(auto.points, getPosition());
+        return rangeRef.current;
+    };
+
+    // Load a kernel for the current settings into the idle convolver and crossfade to it.
+    // A convolver starts without input history, so the fade waits one kernel length;
+    // changes arriving meanwhile are coalesced into the next swap.
+    const updateLinearPhase = (onSwap) => {
+        const lp = linearPhaseRef.current;
+        const ctx = audioContextRef.current;
+        if (lp.mode !== 'linear' || !lp.convolvers) return;
+
+        const ranges = kernelRanges(currentRange());
+        const key = JSON.stringify([lp.taps, ranges]);
+        if (key === lp.key) return;
+        if (lp.swap) {
+            lp.pending = true;
+            return;
+        }
+
+        const kernel = designBandKernel(ranges, lp.taps, ctx.sampleRate);
+        const buffer = ctx.createBuffer(1, kernel.length, ctx.sampleRate);
+        buffer.copyToChannel(kernel, 0);
+
+        const previous = lp.convolvers[lp.active];
+        lp.active = 1 - lp.active;
+        const next = lp.convolvers[lp.active];
+        next.node.buffer = buffer;
+        lp.key = key;
+
+        const fadeAt = ctx.currentTime + kernel.length / ctx.sampleRate;
+        [[previous.gain.gain, 0], [next.gain.gain, 1]].forEach(([param, value]) => {
+            param.cancelScheduledValues(fadeAt);
+            param.setValueAtTime(1 - value, fadeAt);
+            param.linearRampToValueAtTime(value, fadeAt + KERNEL_FADE);
+        });
+        if (onSwap) onSwap(fadeAt);
+
+        lp.swap = setTimeout(() => {
+            lp.swap = null;
+            if (lp.pending) {
+                lp.pending = false;
+                updateLinearPhase();
+            }
+        }, (fadeAt + KERNEL_FADE - ctx.currentTime) * 1000);
+    };
+
+    // Crossfade from one filter engine's output to the other's at a context time
+    const fadeEngines = (toLinear, when) => {
+        [[iirOutputRef.current.gain, toLinear ? 0 : 1], [linearOutputRef.current.gain, toLinear ? 1 : 0]].forEach(([param, value]) => {
+            param.cancelScheduledValues(when);
+            param.setValueAtTime(1 - value, when);
+            param.linearRampToValueAtTime(value, when + KERNEL_FADE);
+        });
+    };
+
+    const enableLinearPhase = () => {
+        const lp = linearPhaseRef.current;
+        const ctx = audioContextRef.current;
+        if (!lp.connected) filterInputRef.current.connect(linearInputRef.current);
+        lp.connected = true;
+        // Start over: whatever was loaded has no (or stale) input history
+        clearTimeout(lp.swap);
+        lp.swap = null;
+        lp.key = null;
+        lp.pending = false;
+        updateLinearPhase((fadeAt) => fadeEngines(true, fadeAt));
+        clearInterval(lp.timer);
+        lp.timer = setInterval(() => updateLinearPhase(), LINEAR_PHASE_TICK_MS);
+        setFilterLatency(kernelLatency(lp.taps, ctx.sampleRate));
+    };
+
+    const disableLinearPhase = () => {
+        const lp = linearPhaseRef.current;
+        const ctx = audioContextRef.current;
+        clearInterval(lp.timer);
+        lp.timer = null;
+        fadeEngines(false, ctx.currentTime);
+        // Disconnected once faded out, so the idle convolvers cost nothing
+        setTimeout(() => {
+            if (lp.mode === 'linear' || !lp.connected) return;
+            filterInputRef.current.disconnect(linearInputRef.current);
+            lp.connected = false;
+            lp.convolvers.forEach(({ gain }) => {
+                gain.gain.cancelScheduledValues(0);
+                gain.gain.value = 0;
+            });
+        }, KERNEL_FADE * 2000);
+        setFilterLatency(0);
+    };
+
+    // Filter engine: 'iir' (biquad cascades) or 'linear' (FFT convolution with a linear-phase
+    // kernel: brick-wall steepness and no phase smear, at the cost of taps / 2 latency)
+    const setPhaseMode = (mode) => {
+        const lp = linearPhaseRef.current;
+        if (lp.mode === mode) return;
+        lp.mode = mode;
+        if (!lp.convolvers) return;
+        if (mode === 'linear') enableLinearPhase();
+        else disableLinearPhase();
+    };
+
+    // Kernel size for linear-phase mode (see LINEAR_PHASE_TAPS): more taps, steeper edges
+    const setLinearPhaseTaps = (taps) => {
+        const lp = linearPhaseRef.current;
+        lp.taps = taps;
+        if (lp.mode !== 'linear' || !lp.convolvers) return;
+        updateLinearPhase();
+        setFilterLatency(kernelLatency(taps, audioContextRef.current.sampleRate));
+    };
+
+    // Cutoffs (Hz) the running sweep produces at a given context time
+    const sweepHzAt = (sweep, time) => {
+        const phase = sweep.phase0 + (time - sweep.t0) * sweepRateHz(sweep.config);
+        const { low, high } = sweepRangeAt(sweep.config, phase);
+        return { minHz: toLog(low, MIN_FREQ, MAX_FREQ), maxHz: toLog(high, MIN_FREQ, MAX_FREQ) };
+    };
+
+    // Freeze all cutoffs at their current value so new automation starts from there
+    const holdFilters = (now) => {
+        [...highPassFiltersRef.current, ...lowPassFiltersRef.current].forEach(node => {
+            const param = node.frequency;
+            if (param.cancelAndHoldAtTime) {
+                param.cancelAndHoldAtTime(now);
+            } else {
+                const value = param.value;
+                param.cancelScheduledValues(now);
+                param.setValueAtTime(value, now);
+            }
+        });
+    };
+
+    // Top up the automation timeline to ctx.currentTime + SCHEDULE_LOOKAHEAD.
+    // Exponential ramps between points are linear in slider (log-frequency) space.
+    const scheduleSweep = () => {
+        const sweep = sweepRef.current;
+        const ctx = audioContextRef.current;
+        if (!sweep || !ctx) return;
+
+        // Timer fell behind the horizon (heavily throttled): resume from now
+        if (sweep.scheduledUntil < ctx.currentTime) sweep.scheduledUntil = ctx.currentTime;
+
+        const horizon = ctx.currentTime + SCHEDULE_LOOKAHEAD;
+        for (let t = sweep.scheduledUntil + SWEEP_STEP; t <= horizon; t += SWEEP_STEP) {
+            rampFiltersTo(sweepHzAt(sweep, t), t);
+            sweep.scheduledUntil = t;
+        }
+    };
+
+    const beginSweep = (config, phase0) => {
+        const ctx = audioContextRef.current;
+        const now = ctx.currentTime;
+        holdFilters(now);
+        sweepRef.current = {
+            config,
+            phase0,
+            t0: now,
+            scheduledUntil: now,
+            timer: setInterval(scheduleSweep, SCHEDULER_TICK_MS)
+        };
+        scheduleSweep();
+    };
+
+    // Start sweeping from the current band center (config: see DEFAULT_SWEEP_CONFIG)
+    const startSweep = (config) => {
+        if (!audioContextRef.current || !gainNodeRef.current) return;
+        stopSweep();
+        stopAutomation();
+        const { minHz, maxHz } = rangeRef.current;
+        const center = (toLinear(minHz, MIN_FREQ, MAX_FREQ) + toLinear(maxHz, MIN_FREQ, MAX_FREQ)) / 2;
+        beginSweep(config, sweepStartPhase(config, center));
+    };
+
+    // Change rate/shape/bounds/bandwidth of a running sweep without a phase jump
+    const updateSweep = (config) => {
+        const sweep = sweepRef.current;
+        if (!sweep) return;
+        const now = audioContextRef.current.currentTime;
+        const phase = sweep.phase0 + (now - sweep.t0) * sweepRateHz(sweep.config);
+        clearInterval(sweep.timer);
+        beginSweep(config, phase);
+    };
+
+    // Stop sweeping, leaving the cutoffs where the sweep currently is. Returns that range.
+    const stopSweep = () => {
+        const sweep = sweepRef.current;
+        if (!sweep) return null;
+        clearInterval(sweep.timer);
+        sweepRef.current = null;
+
+        const now = audioContextRef.current.currentTime;
+        holdFilters(now);
+        rangeRef.current = sweepHzAt(sweep, now);
+        return rangeRef.current;
+    };
+
+    // Cutoffs currently applied (follows the sweep while it runs)
+    const getSweepRange = () => {
+        const sweep = sweepRef.current;
+        if (!sweep) return rangeRef.current;
+        return sweepHzAt(sweep, audioContextRef.current.currentTime);
+    };
+
+    const rampFiltersTo = (range, when) => {
+        writeCutoffs(highPassFiltersRef.current, lowPassFiltersRef.current, range, (param, hz) =>
+            param.exponentialRampToValueAtTime(hz, when)
+        );
+    };
+
+    const setFiltersAt = (range, when) => {
+        writeCutoffs(highPassFiltersRef.current, lowPassFiltersRef.current, range, (param, hz) =>
+            param.setValueAtTime(hz, when)
+        );
+    };
+
+    // Write lane points that fall inside the lookahead window (loop-aware: each pass
+    // ramps to the loop-end value, then jumps back to the loop-start value)
+    const scheduleAutomation = () => {
+        const auto = automationRef.current;
+        const ctx = audioContextRef.current;
+        if (!auto.timer || !ctx) return;
+
+        const horizon = ctx.currentTime + SCHEDULE_LOOKAHEAD;
+        const loop = loopRef.current;
+        trackSegments(auto.scheduledUntil, horizon).forEach(({ shift, from, to }, i) => {
+            if (i > 0) setFiltersAt(automationValueAt(auto.points, from), ctxTimeAt(from + shift));
+            for (let idx = nextPointIndex(auto.points, from); idx < auto.points.length; idx++) {
+                const point = auto.points[idx];
+                if (point.time > to) break;
+                rampFiltersTo(point, ctxTimeAt(point.time + shift));
+            }
+            if (loop && to === loop.end) rampFiltersTo(automationValueAt(auto.points, loop.end), ctxTimeAt(loop.end + shift));
         });
+        auto.scheduledUntil = horizon;
+    };
+
+    // Begin replaying the lane from a track offset (called whenever a source starts)
+    const startAutomation = (offset) => {
+        const auto = automationRef.current;
+        const ctx = audioContextRef.current;
+        if (!auto.points || auto.points.length === 0 || !ctx) return;
+        stopSweep();
+
+        const now = ctx.currentTime;
+        [...highPassFiltersRef.current, ...lowPassFiltersRef.current].forEach(node => node.frequency.cancelScheduledValues(now));
+        setFiltersAt(automationValueAt(auto.points, offset), now);
+
+        auto.scheduledUntil = now;
+        auto.timer = setInterval(scheduleAutomation, SCHEDULER_TICK_MS);
+        scheduleAutomation();
+    };
+
+    // Stop replaying (the lane itself is kept for the next play/seek)
+    const stopAutomation = () => {
+        const auto = automationRef.current;
+        if (!auto.timer) return;
+        clearInterval(auto.timer);
+        auto.timer = null;
 
-        // Update all Low Pass filters (Cut above maxHz)
-        lowPassFiltersRef.current.forEach(node => {
-            node.frequency.setTargetAtTime(Math.min(20000, maxHz), now, 0.05);
+        const now = audioContextRef.current.currentTime;
+        holdFilters(now);
+        rangeRef.current = automationValueAt(auto.points, positionAt(now));
+    };
+
+    // Lane to replay in sync with playback, or null to stop following one
+    const setAutomation = (points) => {
+        stopAutomation();
+        automationRef.current.points = points && points.length ? points : null;
+        if (sourceNodeRef.current) startAutomation(getPosition());
+    };
+
+    // Current playback position in seconds (reads the audio clock, not React state)
+    const getPosition = () => {
+        const ctx = audioContextRef.current;
+        if (!sourceNodeRef.current || !ctx) return pauseTimeRef.current;
+        return positionAt(ctx.currentTime);
+    };
+
+    // Offline copy of the biquad bands (input -> bands -> destination), following the lane if given
+    const connectOfflineBiquads = (offline, input, automation, start, end) => {
+        const { highPass, lowPass } = createFilterChain(offline);
+        const mainInput = offline.createGain();
+        input.connect(mainInput);
+        connectBand(mainInput, highPass, lowPass, offline.destination, filterModeRef.current);
+
+        // Same band layout / mix as live playback
+        if (filterModeRef.current === 'multi') {
+            const { bands, main } = bandsRef.current;
+            const anySolo = main.solo || bands.some(b => b.solo);
+            mainInput.gain.value = bandLevel(main, anySolo);
+            bands.forEach(band => {
+                const branch = createFilterChain(offline);
+                const bandInput = offline.createGain();
+                bandInput.gain.value = bandLevel(band, anySolo);
+                input.connect(bandInput);
+                connectBand(bandInput, branch.highPass, branch.lowPass, offline.destination);
+                writeCutoffs(branch.highPass, branch.lowPass, { minHz: band.lowHz, maxHz: band.highHz }, (param, hz) => {
+                    param.value = hz;
+                });
+            });
+        }
+
+        // Initial cutoffs: the lane value at the range start, else the live setting
+        // (read from the running sweep / lane, not the last scheduler tick)
+        const events = automation || [];
+        const initial = automationValueAt(events, start) || currentRange();
+        // Same geometric ramps between points as live lane playback
+        writeCutoffs(highPass, lowPass, initial, (param, hz) => param.setValueAtTime(hz, 0));
+        events
+            .filter(e => e.time > start && e.time < end)
+            .forEach(e => {
+                writeCutoffs(highPass, lowPass, e, (param, hz) => param.exponentialRampToValueAtTime(hz, e.time - start));
+            });
+    };
+
+    // Render the loaded buffer through the same filter cascade offline and encode it as WAV.
+    // automation: optional [{ time, minHz, maxHz }] timestamped against the track position.
+    const exportAudio = async ({ startTime = 0, endTime, bitDepth = 16, automation = null, onProgress } = {}) => {
+        // A streamed track is only decoded here, for the duration of the render
+        const stream = streamRef.current;
+        if (!audioBufferRef.current && stream) {
+            const decodedBytes = stream.media.duration * audioContextRef.current.sampleRate * 2 * 4;
+            if (decodedBytes > STREAM_EXPORT_MAX_BYTES) {
+                throw new Error(`Track too long to export: it would decode to ~${(decodedBytes / 1024 ** 3).toFixed(1)}GB`);
+            }
+        }
+        const buffer = audioBufferRef.current
+            || (stream && await audioContextRef.current.decodeAudioData(await stream.file.arrayBuffer()));
+        if (!buffer) throw new Error('No audio loaded');
+
+        const start = Math.min(Math.max(0, startTime), buffer.duration);
+        const end = Math.min(endTime ?? buffer.duration, buffer.duration);
+        const length = Math.round((end - start) * buffer.sampleRate);
+        if (length <= 0) throw new Error('Export range is empty');
+
+        // Linear-phase mode renders through the same kernel (static settings only: lane
+        // exports always use the biquads). Its latency is rendered extra and trimmed off.
+        const linear = linearPhaseRef.current;
+        const linearTaps = linear.mode === 'linear' && !automation ? linear.taps : 0;
+        const latencyFrames = linearTaps / 2;
+
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offline = new OfflineCtx(buffer.numberOfChannels, length + latencyFrames, buffer.sampleRate);
+
+        const source = offline.createBufferSource();
+        source.buffer = buffer;
+        const stereo = createStereoStage(offline);
+        writeStereoMatrix(stereo, (param, value) => { param.value = value; });
+        source.connect(stereo.input);
+
+        if (linearTaps) {
+            const convolver = offline.createConvolver();
+            convolver.normalize = false;
+            const kernel = designBandKernel(kernelRanges(currentRange()), linearTaps, buffer.sampleRate);
+            const impulse = offline.createBuffer(1, kernel.length, buffer.sampleRate);
+            impulse.copyToChannel(kernel, 0);
+            convolver.buffer = impulse;
+            stereo.output.connect(convolver);
+            convolver.connect(offline.destination);
+        } else {
+            connectOfflineBiquads(offline, stereo.output, automation, start, end);
+        }
+
+        // Progress via suspend points (quantized to the 128-frame render quantum)
+        const renderDuration = length / buffer.sampleRate;
+        if (onProgress && typeof offline.suspend === 'function') {
+            let lastFrame = 0;
+            for (let i = 1; i < EXPORT_PROGRESS_STEPS; i++) {
+                const frame = Math.floor((length * i) / EXPORT_PROGRESS_STEPS / 128) * 128;
+                if (frame <= lastFrame || frame >= length) continue;
+                lastFrame = frame;
+                const ratio = i / EXPORT_PROGRESS_STEPS;
+                offline.suspend(frame / buffer.sampleRate).then(() => {
+                    onProgress(ratio * 0.9);
+                    offline.resume();
+                });
+            }
+        }
+
+        source.start(0, start, renderDuration);
+        const rendered = await offline.startRendering();
+        if (onProgress) onProgress(0.95);
+
+        const output = latencyFrames ? trimStart(rendered, latencyFrames, length) : rendered;
+        const blob = encodeWav(output, bitDepth);
+        if (onProgress) onProgress(1);
+        return blob;
+    };
+
+    // Run a live input (microphone, line-in, audio interface) through the chain. File playback
+    // pauses. Echo cancellation & co are off: they would colour what is being isolated.
+    // Resolves with the id of the device in use; rejects if access is denied.
+    const startLiveInput = async (deviceId = null) => {
+        initAudioContext();
+        const ctx = audioContextRef.current;
+        const hasWorklet = await loadPitchShifter(ctx);
+        ensureNodes(ctx, hasWorklet);
+        setCanShiftPitch(Boolean(pitchShifterRef.current));
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        stopLiveInput();
+        pause();
+
+        const node = ctx.createMediaStreamSource(stream);
+        node.connect(inputNodeRef.current);
+        liveRef.current = { stream, node };
+        setIsLive(true);
+        applyPitch();
+        const [track] = stream.getAudioTracks();
+        return (track && track.getSettings().deviceId) || deviceId;
+    };
+
+    const stopLiveInput = () => {
+        const live = liveRef.current;
+        if (!live) return;
+        liveRef.current = null;
+        live.node.disconnect();
+        live.stream.getTracks().forEach(track => track.stop());
+        setIsLive(false);
+        applyPitch();
+    };
+
+    // Silence the speakers (e.g. a microphone next to them would feed back)
+    const setMonitorMuted = (muted) => {
+        monitorMutedRef.current = muted;
+        const monitor = monitorNodeRef.current;
+        if (monitor) monitor.gain.setTargetAtTime(muted ? 0 : 1, audioContextRef.current.currentTime, 0.01);
+    };
+
+    // Record what the chain outputs (after the limiter, so monitor mute doesn't matter)
+    const startRecording = () => {
+        const ctx = audioContextRef.current;
+        if (!ctx || !limiterRef.current || recordingRef.current) return false;
+        const destination = ctx.createMediaStreamDestination();
+        limiterRef.current.connect(destination);
+
+        const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(destination.stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const done = new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
         });
+        recorder.start(RECORDING_TIMESLICE_MS);
+        recordingRef.current = { recorder, destination, done };
+        setIsRecording(true);
+        return true;
     };
 
+    // Ends the recording; resolves with the recorded Blob (null if nothing was recording)
+    const stopRecording = async () => {
+        const recording = recordingRef.current;
+        if (!recording) return null;
+        recordingRef.current = null;
+        recording.recorder.stop();
+        const blob = await recording.done;
+        limiterRef.current.disconnect(recording.destination);
+        setIsRecording(false);
+        return blob;
+    };
+
+    // Decoded buffer of the loaded track (null until ready, and for streamed tracks), e.g. for the waveform overview
+    const getAudioBuffer = () => audioBufferRef.current;
+
     return {
         loadFile,
+        preloadNext,
+        setCrossfade,
         play,
         pause,
+        seek,
+        setLoop,
+        setFilterMode,
+        setFilterDesign,
+        setBands,
+        setStereoMode,
+        setOutputGain,
+        setAutoGain,
+        getLevels,
+        setPhaseMode,
+        setLinearPhaseTaps,
+        filterLatency,
+        setPlaybackRate,
+        setPitchShift,
+        canShiftPitch,
         isPlaying,
         isReady,
+        isStreaming,
         duration,
         currentTime,
         setFrequencyRange,
-        analyser: analyserNodeRef.current
+        getPosition,
+        setAutomation,
+        startSweep,
+        updateSweep,
+        stopSweep,
+        getSweepRange,
+        exportAudio,
+        getAudioBuffer,
+        startLiveInput,
+        stopLiveInput,
+        isLive,
+        setMonitorMuted,
+        startRecording,
+        stopRecording,
+        isRecording,
+        analyser
     };
 }
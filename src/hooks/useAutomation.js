@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { get, update } from 'idb-keyval';
+import { withoutTracks } from '../utils/library';
+
+const AUTOMATION_KEY = 'automation-lanes';
+
+// Recorded filter automation per track: { [trackId]: [{ time, minHz, maxHz }] }
+export function useAutomation() {
+    const [lanes, setLanes] = useState({});
+
+    useEffect(() => {
+        get(AUTOMATION_KEY)
+            .then(stored => { if (stored) setLanes(stored); })
+            .catch(err => console.error("Failed to load automation:", err));
+    }, []);
+
+    const saveLane = (trackId, points) => {
+        setLanes(prev => ({ ...prev, [trackId]: points }));
+        update(AUTOMATION_KEY, (stored = {}) => ({ ...stored, [trackId]: points })).catch(err =>
+            console.error("Failed to persist automation:", err)
+        );
+    };
+
+    // Tracks leaving the library take their lanes with them (null: all tracks)
+    const forgetTracks = (trackIds) => {
+        setLanes(prev => withoutTracks(prev, trackIds));
+        update(AUTOMATION_KEY, (stored = {}) => withoutTracks(stored, trackIds)).catch(err =>
+            console.error("Failed to persist automation:", err)
+        );
+    };
+
+    return { lanes, saveLane, forgetTracks };
+}
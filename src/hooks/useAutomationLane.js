@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef } from 'react';
+import { automationValueAt, punchIn } from '../utils/automation';
+import { useEffectEvent } from './useEffectEvent';
+
+// How often the lane is redrawn while recording
+const LANE_REDRAW_MS = 250;
+
+// Automation lane of the loaded track: record cutoff moves against the track position, then
+// replay them in sync (the engine schedules the lane on the audio clock; onFrame(minHz, maxHz)
+// mirrors it). `automation` is the lane store (useAutomation). Modes: 'off' | 'record' | 'play'.
+export function useAutomationLane(engine, automation, { onFrame }) {
+    const [automationMode, setAutomationMode] = useState('off');
+    const [lane, setLane] = useState([]);
+    // Working copies: recordPoint runs from animation loops started in earlier renders
+    const modeRef = useRef('off');
+    const laneRef = useRef([]);
+    const laneKeyRef = useRef(null); // Track id the lane belongs to (null: local file, not persisted)
+    const recordCursorRef = useRef(null);
+    const laneRedrawRef = useRef(0);
+
+    const setMode = (mode) => {
+        modeRef.current = mode;
+        setAutomationMode(mode);
+    };
+
+    // Hand the lane to the engine while in playback mode
+    const scheduleLane = useEffectEvent((points) => engine.setAutomation(points));
+
+    useEffect(() => {
+        scheduleLane(automationMode === 'play' ? lane : null);
+    }, [automationMode, lane]);
+
+    const follow = useEffectEvent(() => {
+        const range = automationValueAt(laneRef.current, engine.getPosition());
+        if (range) onFrame(range.minHz, range.maxHz);
+    });
+
+    useEffect(() => {
+        if (automationMode !== 'play' || !engine.isPlaying) return;
+        let frame;
+        const loop = () => {
+            follow();
+            frame = requestAnimationFrame(loop);
+        };
+        loop();
+        return () => cancelAnimationFrame(frame);
+    }, [automationMode, engine.isPlaying]);
+
+    // A cutoff move (Hz); only kept while recording
+    const recordPoint = (minHz, maxHz) => {
+        if (modeRef.current !== 'record') return;
+        const time = engine.getPosition();
+        laneRef.current = punchIn(laneRef.current, { time, minHz, maxHz }, recordCursorRef.current);
+        recordCursorRef.current = time;
+
+        const now = performance.now();
+        if (now - laneRedrawRef.current > LANE_REDRAW_MS) {
+            laneRedrawRef.current = now;
+            setLane(laneRef.current);
+        }
+    };
+
+    const commitLane = (points) => {
+        laneRef.current = points;
+        setLane(points);
+        if (laneKeyRef.current) automation.saveLane(laneKeyRef.current, points);
+    };
+
+    const changeAutomationMode = (mode) => {
+        if (modeRef.current === 'record') commitLane(laneRef.current);
+        recordCursorRef.current = null;
+        setMode(mode);
+    };
+
+    // A manual change takes over from lane playback
+    const stopLanePlayback = () => {
+        if (modeRef.current === 'play') setMode('off');
+    };
+
+    // Save a lane being recorded and load the one for the next track (null: a local file).
+    // Returns whether the new lane drives the cutoffs.
+    const switchLane = (trackId) => {
+        if (modeRef.current === 'record') {
+            commitLane(laneRef.current);
+            setMode('off');
+        }
+        const points = (trackId && automation.lanes[trackId]) || [];
+        laneKeyRef.current = trackId;
+        laneRef.current = points;
+        recordCursorRef.current = null;
+        setLane(points);
+        if (points.length === 0) stopLanePlayback();
+        return modeRef.current === 'play';
+    };
+
+    return { automationMode, lane, recordPoint, commitLane, changeAutomationMode, stopLanePlayback, switchLane };
+}
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+
+// Filter mode (see FILTER_MODES in useAudioEngine) and the extra bands of multi-band mode,
+// with the main band's mix settings. Kept across tracks.
+export function useBands(engine) {
+    const [filterMode, setFilterMode] = useState('pass');
+    const [mainBand, setMainBand] = useState({ gainDb: 0, muted: false, solo: false });
+    const [bands, setBands] = useState([]);
+
+    const changeFilterMode = (mode) => {
+        setFilterMode(mode);
+        engine.setFilterMode(mode);
+    };
+
+    const applyBands = (list, main) => {
+        setBands(list);
+        setMainBand(main);
+        engine.setBands(list, main);
+    };
+
+    const changeMainBand = (changes) => applyBands(bands, { ...mainBand, ...changes });
+
+    const addBand = () => {
+        applyBands([...bands, { id: uuidv4(), lowHz: 500, highHz: 2000, gainDb: 0, muted: false, solo: false }], mainBand);
+    };
+
+    const changeBand = (id, changes) => {
+        applyBands(bands.map(band => (band.id === id ? { ...band, ...changes } : band)), mainBand);
+    };
+
+    const removeBand = (id) => {
+        applyBands(bands.filter(band => band.id !== id), mainBand);
+    };
+
+    return { filterMode, mainBand, bands, changeFilterMode, changeMainBand, addBand, changeBand, removeBand };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import { trackFile } from '../utils/libraryScan';
+import { useEffectEvent } from './useEffectEvent';
+
+// How long before the end of a track the next one is decoded (plus the crossfade)
+const PRELOAD_AHEAD_SECONDS = 30;
+
+// Track changes: gapless, or crossfaded by up to MAX_CROSSFADE seconds (kept across tracks).
+// Near the end of a track, `followingTrack` is decoded so the engine can start it on time.
+export function useCrossfade(engine, followingTrack) {
+    const [crossfade, setCrossfade] = useState(0);
+    // Id of the track last handed to the engine for a gapless transition
+    const preloadKeyRef = useRef(null);
+
+    const changeCrossfade = (seconds) => {
+        setCrossfade(seconds);
+        engine.setCrossfade(seconds);
+    };
+
+    const preload = useEffectEvent(() => {
+        if (!followingTrack) {
+            engine.preloadNext(null);
+            return;
+        }
+        trackFile(followingTrack, false)
+            .then(file => engine.preloadNext(file, followingTrack.id))
+            .catch(err => console.error("Failed to preload next track:", err));
+    });
+
+    const { isPlaying, isStreaming, duration, currentTime } = engine;
+    const isNearEnd = isPlaying && !isStreaming && duration - currentTime <= PRELOAD_AHEAD_SECONDS + crossfade;
+    const followingKey = followingTrack ? followingTrack.id : null;
+
+    useEffect(() => {
+        if (!isNearEnd || preloadKeyRef.current === followingKey) return;
+        preloadKeyRef.current = followingKey;
+        preload();
+    }, [isNearEnd, followingKey]);
+
+    // A new track is playing: whatever follows it still has to be handed over
+    const forgetPreload = () => {
+        preloadKeyRef.current = null;
+    };
+
+    return { crossfade, changeCrossfade, forgetPreload };
+}
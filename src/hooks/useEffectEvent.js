@@ -0,0 +1,11 @@
+import { useRef, useLayoutEffect, useCallback } from 'react';
+
+// Stand-in for React's useEffectEvent (not in React 18): a stable function that always runs
+// the latest `fn`, for effects and listeners that are set up once. Not for use during render.
+export function useEffectEvent(fn) {
+    const fnRef = useRef(fn);
+    useLayoutEffect(() => {
+        fnRef.current = fn;
+    });
+    return useCallback((...args) => fnRef.current(...args), []);
+}
@@ -0,0 +1,29 @@
+import { useState } from 'react';
+import { DEFAULT_FILTER_DESIGN } from '../utils/filterDesign';
+import { DEFAULT_LINEAR_PHASE_TAPS } from '../utils/firDesign';
+
+// Slope / topology / resonance of the cutoff filters, and the filter engine: biquads ('iir')
+// or linear phase, with its kernel length. Kept across tracks.
+export function useFilterShape(engine) {
+    const [filterDesign, setFilterDesign] = useState(DEFAULT_FILTER_DESIGN);
+    const [phaseMode, setPhaseMode] = useState('iir');
+    const [linearTaps, setLinearTaps] = useState(DEFAULT_LINEAR_PHASE_TAPS);
+
+    const changeFilterDesign = (changes) => {
+        const design = { ...filterDesign, ...changes };
+        setFilterDesign(design);
+        engine.setFilterDesign(design);
+    };
+
+    const changePhaseMode = (mode) => {
+        setPhaseMode(mode);
+        engine.setPhaseMode(mode);
+    };
+
+    const changeLinearTaps = (taps) => {
+        setLinearTaps(taps);
+        engine.setLinearPhaseTaps(taps);
+    };
+
+    return { filterDesign, changeFilterDesign, phaseMode, changePhaseMode, linearTaps, changeLinearTaps };
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+
+// Duration of a glide
+const GLIDE_MS = 400;
+
+// Animates the two slider positions to a target with an ease-out, e.g. when a preset is
+// applied: onStep(low, high) runs every frame, onDone once the target is reached.
+export function useGlide() {
+    const frameRef = useRef(null);
+
+    useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+    const glide = ([fromLow, fromHigh], [toLow, toHigh], onStep, onDone) => {
+        cancelAnimationFrame(frameRef.current);
+        const start = performance.now();
+
+        const step = (now) => {
+            const t = Math.min((now - start) / GLIDE_MS, 1);
+            const ease = t * (2 - t);
+            onStep(fromLow + (toLow - fromLow) * ease, fromHigh + (toHigh - fromHigh) * ease);
+
+            if (t < 1) {
+                frameRef.current = requestAnimationFrame(step);
+            } else {
+                frameRef.current = null;
+                if (onDone) onDone();
+            }
+        };
+        frameRef.current = requestAnimationFrame(step);
+    };
+
+    // A manual move wins over a glide
+    const cancelGlide = () => cancelAnimationFrame(frameRef.current);
+
+    return { glide, cancelGlide };
+}
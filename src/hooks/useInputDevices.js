@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+// Audio inputs ({ deviceId, label }), kept up to date as devices are plugged in and out.
+// Browsers only reveal labels once input access was granted, so refresh() after opening one.
+export function useInputDevices() {
+    const [devices, setDevices] = useState([]);
+
+    const refresh = () => {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        navigator.mediaDevices.enumerateDevices()
+            .then(list => setDevices(list
+                .filter(device => device.kind === 'audioinput')
+                .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Input ${i + 1}` }))))
+            .catch(err => console.error("Failed to list audio inputs:", err));
+    };
+
+    useEffect(() => {
+        refresh();
+        const mediaDevices = navigator.mediaDevices;
+        if (!mediaDevices) return;
+        mediaDevices.addEventListener('devicechange', refresh);
+        return () => mediaDevices.removeEventListener('devicechange', refresh);
+    }, []);
+
+    return { devices, refresh };
+}
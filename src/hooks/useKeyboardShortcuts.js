@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react';
+import { get, set } from 'idb-keyval';
+import { useEffectEvent } from './useEffectEvent';
+import { SHORTCUT_ACTIONS, DEFAULT_SHORTCUTS, keyCombo, targetOwnsKey, assignShortcut } from '../utils/keyboardShortcuts';
+
+const SHORTCUTS_KEY = 'keyboard-shortcuts';
+
+const REPEATABLE = new Set(SHORTCUT_ACTIONS.filter(action => action.repeat).map(action => action.id));
+
+// Configurable key map (persisted in IndexedDB) driving `handlers` ({ [actionId]: fn }).
+// While an action is being captured, the next key pressed becomes its binding (Escape cancels).
+export function useKeyboardShortcuts(handlers) {
+    const [shortcuts, setShortcuts] = useState(DEFAULT_SHORTCUTS);
+    const [capturing, setCapturing] = useState(null);
+    // Edits wait for the stored map, or the load would overwrite them
+    const loadedRef = useRef(false);
+
+    useEffect(() => {
+        get(SHORTCUTS_KEY)
+            // Actions added since the map was saved keep their defaults
+            .then(stored => { if (stored) setShortcuts({ ...DEFAULT_SHORTCUTS, ...stored }); })
+            .catch(err => console.error("Failed to load keyboard shortcuts:", err))
+            .finally(() => { loadedRef.current = true; });
+    }, []);
+
+    // Set by edits, so the loaded (or default) map isn't written straight back
+    const changedRef = useRef(false);
+
+    useEffect(() => {
+        if (!changedRef.current) return;
+        set(SHORTCUTS_KEY, shortcuts).catch(err =>
+            console.error("Failed to persist keyboard shortcuts:", err)
+        );
+    }, [shortcuts]);
+
+    const persist = (updater) => {
+        if (!loadedRef.current) return;
+        changedRef.current = true;
+        setShortcuts(updater);
+    };
+
+    const onKeyDown = useEffectEvent((event) => {
+        const combo = keyCombo(event);
+        if (!combo) return;
+
+        if (capturing) {
+            event.preventDefault();
+            if (combo !== 'Escape') persist(prev => assignShortcut(prev, capturing, combo));
+            setCapturing(null);
+            return;
+        }
+
+        if (event.defaultPrevented || targetOwnsKey(event.target, combo)) return;
+        const action = Object.keys(shortcuts).find(id => shortcuts[id] === combo);
+        if (!action || !handlers[action]) return;
+        event.preventDefault();
+        if (event.repeat && !REPEATABLE.has(action)) return;
+        handlers[action]();
+    });
+
+    // Attached once; onKeyDown always sees the latest map and handlers
+    useEffect(() => {
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
+    return {
+        shortcuts,
+        capturing,
+        startCapture: (action) => setCapturing(action),
+        cancelCapture: () => setCapturing(null),
+        resetShortcuts: () => persist(() => DEFAULT_SHORTCUTS)
+    };
+}
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { useInputDevices } from './useInputDevices';
+
+// File extension for a recording's MIME type (see RECORDING_TYPES in useAudioEngine)
+const recordingExtension = (type) => (type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm');
+
+// Live input: the isolator runs on a microphone / line-in instead of the file. The monitor
+// starts muted, since a microphone near the speakers would feed back. Also records the
+// processed output (live or not) to a download.
+export function useLiveInput(engine) {
+    const { devices, refresh: refreshDevices } = useInputDevices();
+    const [inputDeviceId, setInputDeviceId] = useState('');
+    const [isMonitorMuted, setIsMonitorMuted] = useState(true);
+
+    const startLive = async (deviceId) => {
+        try {
+            const usedId = await engine.startLiveInput(deviceId || null);
+            engine.setMonitorMuted(isMonitorMuted);
+            setInputDeviceId(usedId || '');
+            refreshDevices();
+        } catch (err) {
+            console.error("Failed to open live input:", err);
+            alert(`Could not open the input: ${err.message}`);
+        }
+    };
+
+    // Back to the file, which is always heard
+    const stopLive = () => {
+        engine.stopLiveInput();
+        engine.setMonitorMuted(false);
+    };
+
+    const changeMonitorMuted = (muted) => {
+        setIsMonitorMuted(muted);
+        engine.setMonitorMuted(engine.isLive && muted);
+    };
+
+    // Start recording, or stop and download it as "<name>.<ext>"
+    const toggleRecording = async (name) => {
+        if (!engine.isRecording) {
+            engine.startRecording();
+            return;
+        }
+        const blob = await engine.stopRecording();
+        if (!blob) return;
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}.${recordingExtension(blob.type)}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    return { devices, inputDeviceId, isMonitorMuted, startLive, stopLive, changeMonitorMuted, toggleRecording };
+}
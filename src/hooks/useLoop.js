@@ -0,0 +1,88 @@
+import { useState } from 'react';
+
+// Shortest A/B loop (seconds)
+const MIN_LOOP_SECONDS = 0.1;
+
+// A/B loop of the loaded track (track seconds), plus the regions saved for it. `store` is
+// useLoopRegions; `trackId` is null for a local file (nothing can be saved then).
+// The markers can be dragged: the region being dragged is shown, and applied on release.
+export function useLoop(engine, store, trackId) {
+    const [loopRegion, setLoopRegion] = useState(null);
+    const [isLoopEnabled, setIsLoopEnabled] = useState(false);
+    const [markerDrag, setMarkerDrag] = useState(null); // { edge: 'start' | 'end', region }
+    const savedLoops = trackId ? store.regions[trackId] || [] : [];
+
+    // The engine re-plans playback on every setLoop, so it only hears about actual changes
+    const applyLoop = (region, isEnabled) => {
+        const active = isEnabled ? region : null;
+        if (active !== (isLoopEnabled ? loopRegion : null)) engine.setLoop(active);
+        setLoopRegion(region);
+        setIsLoopEnabled(isEnabled);
+    };
+
+    const clearLoop = () => applyLoop(null, false);
+
+    const toggleLoop = () => applyLoop(loopRegion, !isLoopEnabled);
+
+    const setLoopIn = () => {
+        const start = engine.getPosition();
+        const end = loopRegion && loopRegion.end > start + MIN_LOOP_SECONDS ? loopRegion.end : engine.duration;
+        applyLoop({ start, end }, isLoopEnabled);
+    };
+
+    // Setting B starts looping straight away, like a hardware A-B button
+    const setLoopOut = () => {
+        const end = engine.getPosition();
+        const start = loopRegion && loopRegion.start < end - MIN_LOOP_SECONDS ? loopRegion.start : 0;
+        applyLoop({ start, end }, true);
+    };
+
+    const selectSavedLoop = (saved) => {
+        applyLoop({ start: saved.start, end: saved.end }, true);
+        engine.seek(saved.start);
+    };
+
+    // Shift+drag on the waveform selects a loop and starts it
+    const selectLoop = (region) => {
+        if (region.end - region.start < MIN_LOOP_SECONDS) return;
+        applyLoop(region, true);
+    };
+
+    const startMarkerDrag = (edge) => setMarkerDrag({ edge, region: loopRegion });
+
+    const moveMarker = (time) => {
+        if (!markerDrag) return;
+        const { start, end } = markerDrag.region;
+        const region = markerDrag.edge === 'start'
+            ? { start: Math.min(time, end - MIN_LOOP_SECONDS), end }
+            : { start, end: Math.max(time, start + MIN_LOOP_SECONDS) };
+        setMarkerDrag({ ...markerDrag, region });
+    };
+
+    const endMarkerDrag = () => {
+        if (!markerDrag) return;
+        applyLoop(markerDrag.region, isLoopEnabled);
+        setMarkerDrag(null);
+    };
+
+    const cancelMarkerDrag = () => setMarkerDrag(null);
+
+    return {
+        loopRegion,
+        isLoopEnabled,
+        shownLoop: markerDrag ? markerDrag.region : loopRegion,
+        savedLoops,
+        clearLoop,
+        toggleLoop,
+        setLoopIn,
+        setLoopOut,
+        selectSavedLoop,
+        selectLoop,
+        saveLoop: (name) => store.saveRegion(trackId, name, loopRegion),
+        deleteLoop: (id) => store.deleteRegion(trackId, id),
+        startMarkerDrag,
+        moveMarker,
+        endMarkerDrag,
+        cancelMarkerDrag
+    };
+}
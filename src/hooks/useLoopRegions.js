@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { get, update } from 'idb-keyval';
+import { v4 as uuidv4 } from 'uuid';
+import { withoutTracks } from '../utils/library';
+
+const LOOP_REGIONS_KEY = 'loop-regions';
+
+// Named A/B loop regions per track: { [trackId]: [{ id, name, start, end }] }
+export function useLoopRegions() {
+    const [regions, setRegions] = useState({});
+
+    useEffect(() => {
+        get(LOOP_REGIONS_KEY)
+            .then(stored => { if (stored) setRegions(stored); })
+            .catch(err => console.error("Failed to load loop regions:", err));
+    }, []);
+
+    const persist = (trackId, updater) => {
+        setRegions(prev => ({ ...prev, [trackId]: updater(prev[trackId] || []) }));
+        update(LOOP_REGIONS_KEY, (stored = {}) => ({ ...stored, [trackId]: updater(stored[trackId] || []) })).catch(err =>
+            console.error("Failed to persist loop regions:", err)
+        );
+    };
+
+    const saveRegion = (trackId, name, { start, end }) => {
+        const region = { id: uuidv4(), name, start, end };
+        persist(trackId, list => [...list, region].sort((a, b) => a.start - b.start));
+        return region;
+    };
+
+    const deleteRegion = (trackId, id) => {
+        persist(trackId, list => list.filter(r => r.id !== id));
+    };
+
+    // Tracks leaving the library take their regions with them (null: all tracks)
+    const forgetTracks = (trackIds) => {
+        setRegions(prev => withoutTracks(prev, trackIds));
+        update(LOOP_REGIONS_KEY, (stored = {}) => withoutTracks(stored, trackIds)).catch(err =>
+            console.error("Failed to persist loop regions:", err)
+        );
+    };
+
+    return { regions, saveRegion, deleteRegion, forgetTracks };
+}
@@ -0,0 +1,114 @@
+import { useEffect, useRef } from 'react';
+import { useEffectEvent } from './useEffectEvent';
+
+// Seconds the reported position may drift from the session's own extrapolation
+// before it is corrected (seeks, loop wraps, track changes)
+const POSITION_TOLERANCE = 1;
+
+// Media Session action -> handler name (see useMediaSession)
+const ACTIONS = {
+    play: 'play',
+    pause: 'pause',
+    stop: 'pause',
+    previoustrack: 'prev',
+    nexttrack: 'next',
+    seekbackward: 'seekBy',
+    seekforward: 'seekBy',
+    seekto: 'seekTo'
+};
+
+const DEFAULT_SEEK_OFFSET = 10; // seconds, when the OS doesn't say
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+// Headset buttons, OS media keys and the lock screen / notification controls.
+// handlers: { play, pause, next, prev, seekTo(seconds), seekBy(deltaSeconds) }; the latest
+// ones are always called, so they can be plain functions recreated on every render.
+export function useMediaSession({ track, isPlaying, duration, position, playbackRate, handlers }) {
+    const handleAction = useEffectEvent((action, details) => {
+        const fn = handlers[ACTIONS[action]];
+        if (!fn) return;
+        if (action === 'seekto') fn(details.seekTime);
+        else if (action === 'seekbackward') fn(-(details.seekOffset || DEFAULT_SEEK_OFFSET));
+        else if (action === 'seekforward') fn(details.seekOffset || DEFAULT_SEEK_OFFSET);
+        else fn();
+    });
+
+    useEffect(() => {
+        if (!hasMediaSession()) return;
+        const session = navigator.mediaSession;
+
+        Object.keys(ACTIONS).forEach(action => {
+            try {
+                session.setActionHandler(action, (details) => handleAction(action, details));
+            } catch {
+                // Action not supported by this browser
+            }
+        });
+
+        return () => {
+            Object.keys(ACTIONS).forEach(action => {
+                try {
+                    session.setActionHandler(action, null);
+                } catch {
+                    // Action not supported by this browser
+                }
+            });
+        };
+    }, []);
+
+    // Title / artist / album and cover art of the current track
+    useEffect(() => {
+        if (!hasMediaSession()) return;
+        if (!track || typeof MediaMetadata === 'undefined') {
+            navigator.mediaSession.metadata = null;
+            return;
+        }
+        const artworkUrl = track.artwork ? URL.createObjectURL(track.artwork) : null;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title || track.filename || '',
+            artist: track.artist || '',
+            album: track.album || '',
+            artwork: artworkUrl ? [{ src: artworkUrl, type: track.artwork.type }] : []
+        });
+        return () => {
+            if (artworkUrl) URL.revokeObjectURL(artworkUrl);
+        };
+    }, [track]);
+
+    useEffect(() => {
+        if (!hasMediaSession()) return;
+        navigator.mediaSession.playbackState = track ? (isPlaying ? 'playing' : 'paused') : 'none';
+    }, [track, isPlaying]);
+
+    // Position state: the session extrapolates it while playing, so it is only sent when it
+    // changes in a way it can't predict. Last sent: { position, at (ms), rate, duration, isPlaying }
+    const sentRef = useRef(null);
+
+    useEffect(() => {
+        if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+        if (!track || !Number.isFinite(duration) || duration <= 0) {
+            sentRef.current = null;
+            return;
+        }
+
+        const now = performance.now();
+        const sent = sentRef.current;
+        if (sent && sent.duration === duration && sent.rate === playbackRate && sent.isPlaying === isPlaying) {
+            const expected = sent.position + (isPlaying ? ((now - sent.at) / 1000) * playbackRate : 0);
+            if (Math.abs(expected - position) < POSITION_TOLERANCE) return;
+        }
+
+        const clamped = Math.min(Math.max(position, 0), duration);
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate,
+                position: clamped
+            });
+        } catch (err) {
+            console.error("Failed to update media position:", err);
+        }
+        sentRef.current = { position: clamped, at: now, rate: playbackRate, duration, isPlaying };
+    }, [track, isPlaying, duration, position, playbackRate]);
+}
@@ -0,0 +1,147 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { get, set } from 'idb-keyval';
+import { useEffectEvent } from './useEffectEvent';
+import { MIDI_TARGETS, parseControlChange, controlKey, assignControl, ccToPosition, isPress } from '../utils/midi';
+
+const MIDI_KEY = 'midi-mappings';
+
+const TARGET_KINDS = Object.fromEntries(MIDI_TARGETS.map(target => [target.id, target.kind]));
+
+const isSupported = () => typeof navigator !== 'undefined' && Boolean(navigator.requestMIDIAccess);
+
+const detach = (access) => {
+    if (!access) return;
+    access.onstatechange = null;
+    access.inputs.forEach(input => { input.onmidimessage = null; });
+};
+
+// Web MIDI input driving `handlers` ({ [targetId]: fn }): continuous targets get the slider
+// position (0-100), buttons are called on press. While a target is learning, the next CC
+// received is bound to it. Mappings (and whether MIDI was enabled) persist in IndexedDB.
+// status: 'unsupported' | 'off' | 'pending' | 'ready' | 'denied'
+export function useMidiMapping(handlers) {
+    const [status, setStatus] = useState(isSupported() ? 'off' : 'unsupported');
+    const [inputs, setInputs] = useState([]); // [{ id, name }]
+    const [mappings, setMappings] = useState({});
+    const [learning, setLearning] = useState(null);
+    const [enabled, setEnabled] = useState(false);
+    const accessRef = useRef(null);
+    const isRequestingRef = useRef(false);
+    // Last value per control, so a button fires once per press
+    const lastValuesRef = useRef(new Map());
+
+    // Mapping edits wait for the stored mappings, or the load would overwrite them
+    const loadedRef = useRef(false);
+    // Set by changes, so the mappings loaded below aren't written straight back
+    const changedRef = useRef(false);
+
+    useEffect(() => {
+        if (!changedRef.current) return;
+        set(MIDI_KEY, { enabled, mappings }).catch(err =>
+            console.error("Failed to persist MIDI mappings:", err)
+        );
+    }, [enabled, mappings]);
+
+    const persist = (updater) => {
+        if (!loadedRef.current) return;
+        changedRef.current = true;
+        setMappings(updater);
+    };
+
+    const handleMessage = (event) => {
+        const message = parseControlChange(event.data);
+        if (!message) return;
+        const key = controlKey(message);
+        const previous = lastValuesRef.current.get(key);
+        lastValuesRef.current.set(key, message.value);
+
+        if (learning) {
+            persist(prev => assignControl(prev, key, learning));
+            setLearning(null);
+            return;
+        }
+
+        const target = mappings[key];
+        const handler = target && handlers[target];
+        if (!handler) return;
+        if (TARGET_KINDS[target] === 'button') {
+            if (isPress(message.value, previous)) handler();
+        } else {
+            handler(ccToPosition(message.value));
+        }
+    };
+
+    // The inputs are attached once, so they call through this to see the latest mappings and handlers
+    const handleMessageRef = useRef(handleMessage);
+    useLayoutEffect(() => {
+        handleMessageRef.current = handleMessage;
+    });
+
+    // (Re)attach to every connected input; called again when devices come and go
+    const attachInputs = (access) => {
+        const list = [];
+        access.inputs.forEach(input => {
+            input.onmidimessage = (event) => handleMessageRef.current(event);
+            list.push({ id: input.id, name: input.name || 'MIDI input' });
+        });
+        setInputs(list);
+    };
+
+    const enable = async () => {
+        if (!isSupported() || accessRef.current || isRequestingRef.current) return;
+        isRequestingRef.current = true;
+        setStatus('pending');
+        try {
+            const access = await navigator.requestMIDIAccess();
+            accessRef.current = access;
+            access.onstatechange = () => attachInputs(access);
+            attachInputs(access);
+            changedRef.current = true;
+            setEnabled(true);
+            setStatus('ready');
+        } catch (err) {
+            console.error("MIDI access denied:", err);
+            setStatus('denied');
+        } finally {
+            isRequestingRef.current = false;
+        }
+    };
+
+    const disable = () => {
+        detach(accessRef.current);
+        accessRef.current = null;
+        changedRef.current = true;
+        setEnabled(false);
+        setInputs([]);
+        setLearning(null);
+        setStatus(isSupported() ? 'off' : 'unsupported');
+    };
+
+    const restore = useEffectEvent((stored) => {
+        if (!stored) return;
+        setMappings(stored.mappings || {});
+        // Reconnect if MIDI was on last time (the browser remembers the permission)
+        if (stored.enabled) enable();
+    });
+
+    useEffect(() => {
+        get(MIDI_KEY)
+            .then(restore)
+            .catch(err => console.error("Failed to load MIDI mappings:", err))
+            .finally(() => { loadedRef.current = true; });
+        return () => detach(accessRef.current);
+    }, []);
+
+    return {
+        status,
+        inputs,
+        mappings,
+        learning,
+        enable,
+        disable,
+        // Click again (or pick another target) to stop learning
+        learn: (target) => setLearning(current => (current === target ? null : target)),
+        clearMapping: (target) => persist(prev => Object.fromEntries(Object.entries(prev).filter(([, t]) => t !== target))),
+        clearAll: () => persist(() => ({}))
+    };
+}
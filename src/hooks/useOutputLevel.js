@@ -0,0 +1,19 @@
+import { useState } from 'react';
+
+// Output trim (dB) and loudness compensation (kept across tracks)
+export function useOutputLevel(engine) {
+    const [outputGainDb, setOutputGainDb] = useState(0);
+    const [isAutoGain, setIsAutoGain] = useState(false);
+
+    const changeOutputGain = (db) => {
+        setOutputGainDb(db);
+        engine.setOutputGain(db);
+    };
+
+    const changeAutoGain = (enabled) => {
+        setIsAutoGain(enabled);
+        engine.setAutoGain(enabled);
+    };
+
+    return { outputGainDb, changeOutputGain, isAutoGain, changeAutoGain };
+}
@@ -0,0 +1,167 @@
+import { useState, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+const MAX_HISTORY = 200;
+
+const INITIAL_STATE = {
+    current: null,
+    context: [], // tracks the current one was picked from (library view or a playlist)
+    contextIndex: -1, // position in `context` playback continues from
+    queue: [], // "up next": [{ key, track }], played before the context continues
+    history: [], // [{ track, contextIndex }] played before `current`, most recent last
+    forward: [], // entries stepped back over with prev(), replayed by next() first
+    played: [], // ids already picked in this shuffle pass
+    shuffle: false,
+    repeat: 'off',
+    upcoming: null // upcomingOf(state), see commit
+};
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+// The player reloads on a new track object, so moving on to the same track (a one-track
+// context under repeat-all, or a track queued after itself) needs a copy
+const asNext = (track, current) => (track === current ? { ...track } : track);
+
+// Next entry from the context, or null at the end (unless repeating all)
+const nextFromContext = (s) => {
+    const { context, contextIndex, repeat } = s;
+    if (context.length === 0) return null;
+
+    if (s.shuffle) {
+        let played = s.played;
+        let candidates = context.filter(t => !played.includes(t.id) && t.id !== s.current?.id);
+        if (candidates.length === 0) {
+            if (repeat !== 'all') return null;
+            played = [];
+            candidates = context.length > 1 ? context.filter(t => t.id !== s.current?.id) : context;
+        }
+        const track = pickRandom(candidates);
+        return { track, contextIndex: context.indexOf(track), played: [...played, track.id] };
+    }
+
+    const index = contextIndex + 1;
+    if (index < context.length) return { track: context[index], contextIndex: index };
+    return repeat === 'all' ? { track: context[0], contextIndex: 0 } : null;
+};
+
+// What next() will play as { track, ...state changes }, or null
+const upcomingOf = (s) => {
+    if (s.forward.length > 0) {
+        const { track, contextIndex } = s.forward[s.forward.length - 1];
+        return { track, contextIndex, forward: s.forward.slice(0, -1) };
+    }
+    if (s.queue.length > 0) return { track: s.queue[0].track, queue: s.queue.slice(1) };
+    return nextFromContext(s);
+};
+
+// What plays now, the up-next queue, shuffle / repeat and the history that makes
+// "previous" go back to what actually played (also under shuffle).
+// Repeat-one is applied by the player when a track ends; next() always moves on.
+export function usePlayQueue() {
+    const [state, setState] = useState(INITIAL_STATE);
+    // Latest state for the actions below (shuffle picks must not run inside an updater)
+    const stateRef = useRef(state);
+
+    // The upcoming entry is decided once per state (shuffle picks included), so the
+    // player can preload it before it is needed
+    const commit = (changes) => {
+        const s = { ...stateRef.current, ...changes };
+        s.upcoming = upcomingOf(s);
+        stateRef.current = s;
+        setState(s);
+    };
+
+    const withHistory = (s) => (s.current
+        ? [...s.history, { track: s.current, contextIndex: s.contextIndex }].slice(-MAX_HISTORY)
+        : s.history);
+
+    // Without a context (e.g. from the history list) playback stays in the current one
+    const playTrack = (track, context) => {
+        const s = stateRef.current;
+        if (!context) context = s.context.length > 0 ? s.context : [track];
+        commit({
+            current: track,
+            context,
+            contextIndex: context.findIndex(t => t.id === track.id),
+            history: withHistory(s),
+            forward: [],
+            played: [track.id]
+        });
+    };
+
+    const next = () => {
+        const s = stateRef.current;
+        const entry = s.upcoming;
+        if (!entry) return;
+        const { track, ...changes } = entry;
+        commit({ ...changes, current: asNext(track, s.current), history: withHistory(s) });
+    };
+
+    const prev = () => {
+        const s = stateRef.current;
+        const current = s.current ? [...s.forward, { track: s.current, contextIndex: s.contextIndex }] : s.forward;
+        if (s.history.length > 0) {
+            const entry = s.history[s.history.length - 1];
+            commit({ current: entry.track, contextIndex: entry.contextIndex, history: s.history.slice(0, -1), forward: current });
+            return;
+        }
+        // Nothing played before: step back through the context (not under shuffle)
+        if (s.shuffle || s.context.length === 0) return;
+        const index = s.contextIndex > 0 ? s.contextIndex - 1 : (s.repeat === 'all' ? s.context.length - 1 : -1);
+        if (index < 0) return;
+        commit({ current: s.context[index], contextIndex: index, forward: current });
+    };
+
+    const playNext = (track) => {
+        commit({ queue: [{ key: uuidv4(), track }, ...stateRef.current.queue] });
+    };
+
+    const addToQueue = (track) => {
+        commit({ queue: [...stateRef.current.queue, { key: uuidv4(), track }] });
+    };
+
+    const removeFromQueue = (key) => {
+        commit({ queue: stateRef.current.queue.filter(entry => entry.key !== key) });
+    };
+
+    const clearQueue = () => commit({ queue: [] });
+
+    // Jump to a queued entry; the ones before it stay queued
+    const playQueued = (key) => {
+        const s = stateRef.current;
+        const entry = s.queue.find(e => e.key === key);
+        if (!entry) return;
+        commit({ current: entry.track, history: withHistory(s), forward: [], queue: s.queue.filter(e => e.key !== key) });
+    };
+
+    const toggleShuffle = () => {
+        const s = stateRef.current;
+        commit({ shuffle: !s.shuffle, played: s.current ? [s.current.id] : [] });
+    };
+
+    const cycleRepeat = () => {
+        const s = stateRef.current;
+        commit({ repeat: REPEAT_MODES[(REPEAT_MODES.indexOf(s.repeat) + 1) % REPEAT_MODES.length] });
+    };
+
+    return {
+        currentTrack: state.current,
+        upcomingTrack: state.upcoming?.track || null,
+        queue: state.queue,
+        history: state.history,
+        shuffle: state.shuffle,
+        repeatMode: state.repeat,
+        playTrack,
+        next,
+        prev,
+        playNext,
+        addToQueue,
+        removeFromQueue,
+        clearQueue,
+        playQueued,
+        toggleShuffle,
+        cycleRepeat
+    };
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react';
+import { get, set } from 'idb-keyval';
+import { v4 as uuidv4 } from 'uuid';
+
+const PLAYLISTS_KEY = 'user-playlists';
+
+// Named, ordered lists of library track ids persisted in IndexedDB: [{ id, name, trackIds }]
+export function usePlaylists() {
+    const [playlists, setPlaylists] = useState([]);
+    // Edits wait for the stored playlists, or the load would overwrite them
+    const loadedRef = useRef(false);
+
+    useEffect(() => {
+        get(PLAYLISTS_KEY)
+            .then(stored => { if (stored) setPlaylists(stored); })
+            .catch(err => console.error("Failed to load playlists:", err))
+            .finally(() => { loadedRef.current = true; });
+    }, []);
+
+    // Set by edits, so the playlists loaded above aren't written straight back
+    const changedRef = useRef(false);
+
+    useEffect(() => {
+        if (!changedRef.current) return;
+        set(PLAYLISTS_KEY, playlists).catch(err =>
+            console.error("Failed to persist playlists:", err)
+        );
+    }, [playlists]);
+
+    const persist = (updater) => {
+        if (!loadedRef.current) return;
+        changedRef.current = true;
+        setPlaylists(updater);
+    };
+
+    const updatePlaylist = (id, changes) => {
+        persist(prev => prev.map(p => (p.id === id ? { ...p, ...changes(p) } : p)));
+    };
+
+    const createPlaylist = (name, trackIds = []) => {
+        const playlist = { id: uuidv4(), name, trackIds };
+        persist(prev => [...prev, playlist]);
+        return playlist;
+    };
+
+    const renamePlaylist = (id, name) => updatePlaylist(id, () => ({ name }));
+
+    const deletePlaylist = (id) => {
+        persist(prev => prev.filter(p => p.id !== id));
+    };
+
+    const addTracks = (id, trackIds) => updatePlaylist(id, p => ({ trackIds: [...p.trackIds, ...trackIds] }));
+
+    // By position, since a playlist may contain the same track more than once
+    const removeTrackAt = (id, index) => updatePlaylist(id, p => ({ trackIds: p.trackIds.filter((_, i) => i !== index) }));
+
+    const moveTrack = (id, from, to) => updatePlaylist(id, p => {
+        const trackIds = [...p.trackIds];
+        const [moved] = trackIds.splice(from, 1);
+        trackIds.splice(to, 0, moved);
+        return { trackIds };
+    });
+
+    return { playlists, createPlaylist, renamePlaylist, deletePlaylist, addTracks, removeTrackAt, moveTrack };
+}
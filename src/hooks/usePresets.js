@@ -0,0 +1,64 @@
+import { useState, useEffect, useRef } from 'react';
+import { get, set } from 'idb-keyval';
+import { v4 as uuidv4 } from 'uuid';
+
+const PRESETS_KEY = 'filter-presets';
+
+// The README "Isolation Tips", shipped as read-only presets
+export const BUILT_IN_PRESETS = [
+    { id: 'builtin-full', name: 'Full Range', lowHz: 20, highHz: 20000, sweep: { enabled: false }, builtIn: true },
+    { id: 'builtin-bass', name: 'Isolate Bass', lowHz: 20, highHz: 250, sweep: { enabled: false }, builtIn: true },
+    { id: 'builtin-vocals', name: 'Isolate Vocals', lowHz: 300, highHz: 3000, sweep: { enabled: false }, builtIn: true },
+    { id: 'builtin-highs', name: 'Isolate Highs', lowHz: 5000, highHz: 20000, sweep: { enabled: false }, builtIn: true },
+];
+
+// Named low/high cutoff pairs (plus sweep settings) persisted in IndexedDB
+export function usePresets() {
+    const [userPresets, setUserPresets] = useState([]);
+    // Edits wait for the stored presets, or the load would overwrite them
+    const loadedRef = useRef(false);
+
+    useEffect(() => {
+        get(PRESETS_KEY)
+            .then(stored => { if (stored) setUserPresets(stored); })
+            .catch(err => console.error("Failed to load presets:", err))
+            .finally(() => { loadedRef.current = true; });
+    }, []);
+
+    // Set by edits, so the presets loaded above aren't written straight back
+    const changedRef = useRef(false);
+
+    useEffect(() => {
+        if (!changedRef.current) return;
+        set(PRESETS_KEY, userPresets).catch(err =>
+            console.error("Failed to persist presets:", err)
+        );
+    }, [userPresets]);
+
+    const persist = (updater) => {
+        if (!loadedRef.current) return;
+        changedRef.current = true;
+        setUserPresets(updater);
+    };
+
+    const createPreset = (name, { lowHz, highHz, sweep }) => {
+        const preset = { id: uuidv4(), name, lowHz, highHz, sweep };
+        persist(prev => [...prev, preset]);
+        return preset;
+    };
+
+    const renamePreset = (id, name) => {
+        persist(prev => prev.map(p => (p.id === id ? { ...p, name } : p)));
+    };
+
+    const deletePreset = (id) => {
+        persist(prev => prev.filter(p => p.id !== id));
+    };
+
+    return {
+        presets: [...BUILT_IN_PRESETS, ...userPresets],
+        createPreset,
+        renamePreset,
+        deletePreset
+    };
+}
@@ -0,0 +1,38 @@
+import { useEffect } from 'react';
+import { useEffectEvent } from './useEffectEvent';
+
+// Delay before a change is written to the track's entry
+const SAVE_DELAY_MS = 500;
+
+// Per-track memory on top of the settings store (useTrackSettings). While remembering is on
+// for `trackId`, its entry follows the settings (getSettings()), debounced on `settingsKey`.
+export function useRememberedSettings(store, trackId, getSettings, settingsKey) {
+    const isRemembered = Boolean(trackId && store.trackSettings[trackId]);
+
+    // Snapshot the track and settings now; the timer may fire after a track change
+    const scheduleSave = useEffectEvent(() => {
+        const id = trackId;
+        const settings = getSettings();
+        return setTimeout(() => store.saveTrackSettings(id, settings), SAVE_DELAY_MS);
+    });
+
+    useEffect(() => {
+        if (!isRemembered) return;
+        const timer = scheduleSave();
+        return () => clearTimeout(timer);
+    }, [settingsKey, isRemembered]);
+
+    const toggleRemember = (checked) => {
+        if (!trackId) return;
+        if (checked) store.saveTrackSettings(trackId, getSettings());
+        else store.forgetTrackSettings(trackId);
+    };
+
+    return {
+        isRemembered,
+        toggleRemember,
+        // What a track starts with: its remembered settings, else the global default
+        settingsFor: (id) => store.trackSettings[id] || store.defaultSettings,
+        saveAsDefault: () => store.saveDefaultSettings(getSettings())
+    };
+}
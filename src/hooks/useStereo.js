@@ -0,0 +1,14 @@
+import { useState } from 'react';
+
+// Stereo stage ahead of the filters: { mode, balance } (see setStereoMode in useAudioEngine)
+export function useStereo(engine) {
+    const [stereo, setStereo] = useState({ mode: 'stereo', balance: 0 });
+
+    const changeStereo = (changes) => {
+        const next = { ...stereo, ...changes };
+        setStereo(next);
+        engine.setStereoMode(next.mode, next.balance);
+    };
+
+    return { stereo, changeStereo };
+}
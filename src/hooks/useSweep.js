@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_SWEEP_CONFIG } from '../utils/sweep';
+import { useEffectEvent } from './useEffectEvent';
+
+// Hypnosis Sweep on top of the engine (see startSweep in useAudioEngine). The engine drives
+// the filters with AudioParam automation on the audio clock, so throttled timers can't make
+// it stutter; onFrame(minHz, maxHz) only mirrors it every frame, and onStop(minHz, maxHz)
+// reports where it stopped (not called if a manual move already took over).
+export function useSweep(engine, { onFrame, onStop }) {
+    const [isSweepEnabled, setIsSweepEnabled] = useState(false);
+    const [sweepConfig, setSweepConfig] = useState(DEFAULT_SWEEP_CONFIG);
+
+    const start = useEffectEvent(() => engine.startSweep(sweepConfig));
+
+    const follow = useEffectEvent(() => {
+        const { minHz, maxHz } = engine.getSweepRange();
+        onFrame(minHz, maxHz);
+    });
+
+    const stop = useEffectEvent(() => {
+        const range = engine.stopSweep();
+        if (range) onStop(range.minHz, range.maxHz);
+    });
+
+    useEffect(() => {
+        if (!isSweepEnabled) return;
+        start();
+        let frame;
+        const loop = () => {
+            follow();
+            frame = requestAnimationFrame(loop);
+        };
+        loop();
+        return () => {
+            cancelAnimationFrame(frame);
+            stop();
+        };
+    }, [isSweepEnabled]);
+
+    // Config changes (e.g. the bandwidth dialed in on the sliders) are picked up by the start above
+    const enableSweep = (changes = {}) => {
+        setSweepConfig(c => ({ ...c, ...changes }));
+        setIsSweepEnabled(true);
+    };
+
+    const disableSweep = () => setIsSweepEnabled(false);
+
+    // Rate, shape, bounds and bandwidth changes re-plan the running sweep in place
+    const changeSweepConfig = (changes) => {
+        const config = { ...sweepConfig, ...changes };
+        setSweepConfig(config);
+        if (isSweepEnabled) engine.updateSweep(config);
+    };
+
+    return { isSweepEnabled, sweepConfig, enableSweep, disableSweep, changeSweepConfig };
+}
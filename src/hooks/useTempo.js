@@ -0,0 +1,17 @@
+import { useState } from 'react';
+
+// Playback speed and pitch shift (kept across tracks)
+export function useTempo(engine) {
+    const [tempo, setTempo] = useState({ speed: 1, semitones: 0, preservePitch: true });
+
+    const changeTempo = (changes) => {
+        const next = { ...tempo, ...changes };
+        setTempo(next);
+        if (next.speed !== tempo.speed) engine.setPlaybackRate(next.speed);
+        if (next.semitones !== tempo.semitones || next.preservePitch !== tempo.preservePitch) {
+            engine.setPitchShift(next.semitones, next.preservePitch);
+        }
+    };
+
+    return { tempo, changeTempo };
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { get, set, update } from 'idb-keyval';
+import { withoutTracks } from '../utils/library';
+
+// Kept next to 'music-library' but under its own key, so library rewrites never clobber it
+const TRACK_SETTINGS_KEY = 'track-settings';
+const DEFAULT_SETTINGS_KEY = 'default-filter-settings';
+
+export const FULL_RANGE_SETTINGS = { lowHz: 20, highHz: 20000, sweep: { enabled: false } };
+
+// Per-track filter settings ({ [trackId]: { lowHz, highHz, sweep } }) plus a global fallback
+export function useTrackSettings() {
+    const [trackSettings, setTrackSettings] = useState({});
+    const [defaultSettings, setDefaultSettings] = useState(FULL_RANGE_SETTINGS);
+
+    useEffect(() => {
+        async function loadSettings() {
+            try {
+                const [stored, storedDefault] = await Promise.all([
+                    get(TRACK_SETTINGS_KEY),
+                    get(DEFAULT_SETTINGS_KEY)
+                ]);
+                if (stored) setTrackSettings(stored);
+                if (storedDefault) setDefaultSettings(storedDefault);
+            } catch (err) {
+                console.error("Failed to load track settings:", err);
+            }
+        }
+        loadSettings();
+    }, []);
+
+    const saveTrackSettings = (trackId, settings) => {
+        setTrackSettings(prev => ({ ...prev, [trackId]: settings }));
+        update(TRACK_SETTINGS_KEY, (stored = {}) => ({ ...stored, [trackId]: settings })).catch(err =>
+            console.error("Failed to persist track settings:", err)
+        );
+    };
+
+    const forgetTrackSettings = (trackId) => {
+        const without = (map) => {
+            const { [trackId]: _removed, ...rest } = map;
+            return rest;
+        };
+        setTrackSettings(prev => without(prev));
+        update(TRACK_SETTINGS_KEY, (stored = {}) => without(stored)).catch(err =>
+            console.error("Failed to persist track settings:", err)
+        );
+    };
+
+    // Tracks leaving the library take their settings with them (null: all tracks)
+    const forgetTracks = (trackIds) => {
+        setTrackSettings(prev => withoutTracks(prev, trackIds));
+        update(TRACK_SETTINGS_KEY, (stored = {}) => withoutTracks(stored, trackIds)).catch(err =>
+            console.error("Failed to persist track settings:", err)
+        );
+    };
+
+    const saveDefaultSettings = (settings) => {
+        setDefaultSettings(settings);
+        set(DEFAULT_SETTINGS_KEY, settings).catch(err =>
+            console.error("Failed to persist default settings:", err)
+        );
+    };
+
+    return {
+        trackSettings,
+        defaultSettings,
+        saveTrackSettings,
+        forgetTrackSettings,
+        forgetTracks,
+        saveDefaultSettings
+    };
+}
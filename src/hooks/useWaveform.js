@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef } from 'react';
+import { useEffectEvent } from './useEffectEvent';
+import { get, set, keys, delMany } from 'idb-keyval';
+
+// Full-range overviews are cached per track under `waveform:<trackId>`
+const WAVEFORM_KEY_PREFIX = 'waveform:';
+const WAVEFORM_BUCKETS = 8192;
+// Band layer recomputes at most this often while the filter is moving
+const BAND_LAYER_DELAY_MS = 300;
+
+// Drop the cached overviews of tracks leaving the library (all of them when trackIds is null)
+export async function deleteWaveforms(trackIds) {
+    try {
+        const cacheKeys = trackIds
+            ? trackIds.map(id => `${WAVEFORM_KEY_PREFIX}${id}`)
+            : (await keys()).filter(key => typeof key === 'string' && key.startsWith(WAVEFORM_KEY_PREFIX));
+        await delMany(cacheKeys);
+    } catch (err) {
+        console.error("Failed to delete waveforms:", err);
+    }
+}
+
+// Peak overviews of a decoded track, computed in a worker (see workers/waveform.worker.js):
+// `overview` for the full signal and `bandOverview` for the signal through `ranges`
+// ([{ lowHz, highHz, gain }], as returned by passRanges). Both are Float32Array peaks.
+export function useWaveform(buffer, trackId, ranges) {
+    // Peaks are kept with the buffer they were computed from ({ buffer, peaks }), so a new
+    // track shows nothing until its own are ready
+    const [overview, setOverview] = useState(null);
+    const [bandOverview, setBandOverview] = useState(null);
+    const workerRef = useRef(null);
+    const jobsRef = useRef({ nextId: 0, pending: new Map() });
+    // Band layer throttle: latest request waiting to run, timer, and whether a job is running
+    const bandRef = useRef({ latest: null, timer: null, busy: false });
+
+    useEffect(() => {
+        const worker = new Worker(new URL('../workers/waveform.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            const resolve = jobsRef.current.pending.get(data.id);
+            jobsRef.current.pending.delete(data.id);
+            if (resolve) resolve(data.peaks);
+        };
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+            clearTimeout(bandRef.current.timer);
+            bandRef.current = { latest: null, timer: null, busy: false };
+        };
+    }, []);
+
+    const requestPeaks = (bandRanges) => new Promise(resolve => {
+        const id = ++jobsRef.current.nextId;
+        jobsRef.current.pending.set(id, resolve);
+        workerRef.current.postMessage({ type: 'peaks', id, buckets: WAVEFORM_BUCKETS, ranges: bandRanges });
+    });
+
+    // New track: hand the samples to the worker, then load or compute the full overview
+    useEffect(() => {
+        if (!buffer || !workerRef.current) return;
+
+        let cancelled = false;
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+        workerRef.current.postMessage({ type: 'load', channels, sampleRate: buffer.sampleRate });
+
+        const cacheKey = trackId ? `${WAVEFORM_KEY_PREFIX}${trackId}` : null;
+        const cached = cacheKey
+            ? get(cacheKey).catch(err => {
+                console.error("Failed to load waveform:", err);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        cached.then(stored => {
+            if (cancelled) return;
+            if (stored && stored.buckets === WAVEFORM_BUCKETS) {
+                setOverview({ buffer, peaks: stored.peaks });
+                return;
+            }
+            requestPeaks(null).then(peaks => {
+                if (cancelled || !peaks) return;
+                setOverview({ buffer, peaks });
+                if (cacheKey) {
+                    set(cacheKey, { buckets: WAVEFORM_BUCKETS, peaks }).catch(err =>
+                        console.error("Failed to cache waveform:", err)
+                    );
+                }
+            });
+        });
+
+        return () => { cancelled = true; };
+    }, [buffer, trackId]);
+
+    // One band job at a time; whatever changed meanwhile runs next
+    const runBandJob = () => {
+        const band = bandRef.current;
+        if (band.busy || !band.latest || !workerRef.current) return;
+        const job = band.latest;
+        band.latest = null;
+        band.busy = true;
+        requestPeaks(job.ranges).then(peaks => {
+            band.busy = false;
+            if (peaks) setBandOverview({ buffer: job.buffer, peaks });
+            runBandJob();
+        });
+    };
+
+    const queueBandJob = useEffectEvent(() => {
+        const band = bandRef.current;
+        band.latest = { buffer, ranges };
+        if (!band.timer) {
+            band.timer = setTimeout(() => {
+                band.timer = null;
+                runBandJob();
+            }, BAND_LAYER_DELAY_MS);
+        }
+    });
+
+    // Rounded so slider jitter below 1Hz doesn't trigger a recompute
+    const rangesKey = JSON.stringify(ranges.map(r => [Math.round(r.lowHz), Math.round(r.highHz), r.gain.toFixed(3)]));
+
+    useEffect(() => {
+        if (buffer) queueBandJob();
+    }, [buffer, rangesKey]);
+
+    return {
+        overview: overview && overview.buffer === buffer ? overview.peaks : null,
+        bandOverview: bandOverview && bandOverview.buffer === buffer ? bandOverview.peaks : null
+    };
+}
@@ -0,0 +1,85 @@
+// Audio file detection for library import. Browsers leave File.type empty for many
+// formats (FLAC, Opus, M4A...), so files are recognized by extension and then checked
+// against the container's magic bytes.
+
+const FORMATS = {
+    mp3: { label: 'MP3', mime: 'audio/mpeg' },
+    aac: { label: 'AAC', mime: 'audio/aac' },
+    mp4: { label: 'MP4 audio', mime: 'audio/mp4' },
+    flac: { label: 'FLAC', mime: 'audio/flac' },
+    ogg: { label: 'Ogg', mime: 'audio/ogg' },
+    wav: { label: 'WAV', mime: 'audio/wav' },
+    aiff: { label: 'AIFF', mime: 'audio/aiff' },
+    webm: { label: 'WebM audio', mime: 'audio/webm' },
+    caf: { label: 'CAF', mime: 'audio/x-caf' },
+    wma: { label: 'WMA', mime: 'audio/x-ms-wma' },
+    ape: { label: "Monkey's Audio", mime: 'audio/ape' },
+    wavpack: { label: 'WavPack', mime: 'audio/wavpack' }
+};
+
+const EXTENSIONS = {
+    mp3: 'mp3', mp2: 'mp3', aac: 'aac', m4a: 'mp4', m4b: 'mp4', mp4: 'mp4', alac: 'mp4',
+    flac: 'flac', ogg: 'ogg', oga: 'ogg', opus: 'ogg', wav: 'wav', wave: 'wav',
+    aif: 'aiff', aiff: 'aiff', aifc: 'aiff', webm: 'webm', weba: 'webm', caf: 'caf',
+    wma: 'wma', ape: 'ape', wv: 'wavpack'
+};
+
+const HEADER_BYTES = 12;
+
+// Skip reason for files that aren't audio at all (e.g. cover art), not worth listing
+export const NOT_AUDIO = 'Not an audio file';
+
+const ascii = (bytes, from, to) => String.fromCharCode(...bytes.subarray(from, to));
+
+// Container format from the first bytes of a file, or null
+function sniff(bytes) {
+    const tag4 = ascii(bytes, 0, 4);
+    if (ascii(bytes, 0, 3) === 'ID3') return 'mp3';
+    if (tag4 === 'fLaC') return 'flac';
+    if (tag4 === 'OggS') return 'ogg';
+    if (tag4 === 'RIFF' && ascii(bytes, 8, 12) === 'WAVE') return 'wav';
+    if (tag4 === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(bytes, 8, 12))) return 'aiff';
+    if (ascii(bytes, 4, 8) === 'ftyp') return 'mp4';
+    if (tag4 === 'caff') return 'caf';
+    if (tag4 === 'MAC ') return 'ape';
+    if (tag4 === 'wvpk') return 'wavpack';
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+    if (bytes[0] === 0x30 && bytes[1] === 0x26 && bytes[2] === 0xb2 && bytes[3] === 0x75) return 'wma';
+    // MPEG audio frame sync: 11 set bits; layer bits 00 mean ADTS (AAC), anything else MP1-3
+    if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    return null;
+}
+
+let probe = null;
+const canPlay = (format) => {
+    if (!probe) probe = document.createElement('audio');
+    return probe.canPlayType(FORMATS[format].mime) !== '';
+};
+
+const extensionOf = (name) => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Cheap pre-check (no reads): could this file be audio at all?
+function looksLikeAudio(file) {
+    const ext = extensionOf(file.name);
+    return file.type.startsWith('audio/') || ext in EXTENSIONS || ext === '';
+}
+
+// { format } for an importable file, else { reason } saying why it was skipped
+export async function detectAudioFormat(file) {
+    const byExtension = EXTENSIONS[extensionOf(file.name)];
+    if (!looksLikeAudio(file)) return { reason: NOT_AUDIO };
+    if (file.size === 0) return { reason: 'Empty file' };
+
+    const bytes = new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer());
+    // Some encoders leave padding or junk before the first MP3 frame; trust the extension then
+    const format = sniff(bytes) || (byExtension === 'mp3' ? 'mp3' : null);
+
+    if (!format) {
+        return { reason: byExtension || file.type.startsWith('audio/') ? 'Unrecognized or damaged audio data' : NOT_AUDIO };
+    }
+    if (!canPlay(format)) return { reason: `${FORMATS[format].label} is not supported by this browser` };
+    return { format };
+}
@@ -1,3 +1,7 @@
+// Audible range covered by the isolator sliders (Hz)
+export const MIN_FREQ = 20;
+export const MAX_FREQ = 20000;
+
 // Maps a linear slider value (0-100) to a logarithmic frequency (min-max)
 export function toLog(position, min, max) {
     const minv = Math.log(min);
@@ -0,0 +1,94 @@
+import { toLinear, MIN_FREQ, MAX_FREQ } from './audioMath';
+
+// Automation lanes are arrays of { time, minHz, maxHz } sorted by time (track seconds).
+// Between points the cutoffs move geometrically (linear on the log slider scale),
+// which is what exponentialRampToValueAtTime does during playback.
+
+const lerpLog = (a, b, f) => a * Math.pow(b / a, f);
+
+// Cutoffs at a track position (holds the first/last value outside the lane)
+export function automationValueAt(points, time) {
+    if (!points || points.length === 0) return null;
+    if (time <= points[0].time) return { minHz: points[0].minHz, maxHz: points[0].maxHz };
+
+    const last = points[points.length - 1];
+    if (time >= last.time) return { minHz: last.minHz, maxHz: last.maxHz };
+
+    // Binary search for the segment containing `time`
+    let lo = 0;
+    let hi = points.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (points[mid].time <= time) lo = mid;
+        else hi = mid;
+    }
+    const a = points[lo];
+    const b = points[hi];
+    const f = b.time > a.time ? (time - a.time) / (b.time - a.time) : 0;
+    return { minHz: lerpLog(a.minHz, b.minHz, f), maxHz: lerpLog(a.maxHz, b.maxHz, f) };
+}
+
+// Index of the first point strictly after `time`
+export function nextPointIndex(points, time) {
+    let lo = 0;
+    let hi = points.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (points[mid].time <= time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+export function insertPoint(points, point) {
+    const index = nextPointIndex(points, point.time);
+    return [...points.slice(0, index), point, ...points.slice(index)];
+}
+
+// Record over the lane: replace whatever was between the previous recorded point and this one
+export function punchIn(points, point, fromTime = null) {
+    const from = fromTime === null || fromTime > point.time ? point.time : fromTime;
+    const kept = from < point.time
+        ? points.filter(p => p.time <= from || p.time > point.time)
+        : points.filter(p => p.time !== point.time);
+    return insertPoint(kept, point);
+}
+
+// Drop points that lie within `tolerance` slider units of the line through their neighbours
+// (Ramer-Douglas-Peucker over both cutoff curves)
+export function simplifyLane(points, tolerance = 0.5) {
+    if (points.length <= 2) return points;
+    const pos = points.map(p => ({
+        time: p.time,
+        low: toLinear(p.minHz, MIN_FREQ, MAX_FREQ),
+        high: toLinear(p.maxHz, MIN_FREQ, MAX_FREQ)
+    }));
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [start, end] = stack.pop();
+        const a = pos[start];
+        const b = pos[end];
+        let maxDev = 0;
+        let maxIndex = -1;
+        for (let i = start + 1; i < end; i++) {
+            const f = b.time > a.time ? (pos[i].time - a.time) / (b.time - a.time) : 0;
+            const dev = Math.max(
+                Math.abs(pos[i].low - (a.low + (b.low - a.low) * f)),
+                Math.abs(pos[i].high - (a.high + (b.high - a.high) * f))
+            );
+            if (dev > maxDev) {
+                maxDev = dev;
+                maxIndex = i;
+            }
+        }
+        if (maxDev > tolerance) {
+            keep[maxIndex] = true;
+            stack.push([start, maxIndex], [maxIndex, end]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
@@ -0,0 +1,64 @@
+// Cutoff cascade design: slope, topology and resonance -> per-stage biquad Q values,
+// plus the frequency scale that keeps the nominal cutoff at the right level.
+
+export const FILTER_SLOPES = [12, 24, 48, 96]; // dB/oct
+export const FILTER_TOPOLOGIES = ['butterworth', 'linkwitz-riley'];
+
+export const DEFAULT_FILTER_DESIGN = {
+    slope: 48,
+    topology: 'butterworth',
+    resonanceDb: 0
+};
+
+// Level at the nominal cutoff: -3dB for Butterworth, -6dB for Linkwitz-Riley
+export function cutoffDb(topology) {
+    return topology === 'linkwitz-riley' ? -20 * Math.log10(2) : -10 * Math.log10(2);
+}
+
+// Stage Qs of an even-order Butterworth filter (one biquad per conjugate pole pair)
+function butterworthQs(order) {
+    const qs = [];
+    for (let k = 1; k <= order / 2; k++) {
+        qs.push(1 / (2 * Math.cos((Math.PI * (2 * k - 1)) / (2 * order))));
+    }
+    return qs.sort((a, b) => a - b);
+}
+
+// Per-stage Q values, lowest first. Linkwitz-Riley is a Butterworth filter of half
+// the order applied twice (LR2 being two first-order sections, i.e. one biquad at Q 0.5).
+// Resonance raises the Q of the last stage to add a peak at the cutoff.
+export function stageQs({ slope, topology, resonanceDb = 0 }) {
+    const order = slope / 6;
+    let qs;
+    if (topology === 'linkwitz-riley') {
+        qs = order === 2 ? [0.5] : [...butterworthQs(order / 2), ...butterworthQs(order / 2)].sort((a, b) => a - b);
+    } else {
+        qs = butterworthQs(order);
+    }
+    qs[qs.length - 1] *= Math.pow(10, resonanceDb / 20);
+    return qs;
+}
+
+// Lowpass magnitude (dB) of the stages at normalized frequency w (1 = node frequency)
+function lowpassDb(qs, w) {
+    return qs.reduce((db, q) => db - 10 * Math.log10((1 - w * w) ** 2 + (w / q) ** 2), 0);
+}
+
+// Ratio between the frequency where the cascade crosses cutoffDb and the node frequency.
+// Lowpass nodes are set to cutoff / scale, highpass nodes (mirror image) to cutoff * scale.
+export function cutoffScale(qs, topology) {
+    const target = cutoffDb(topology);
+    // Walk up (log steps) to the last point still above the target, then bisect
+    let lo = 0.01;
+    let hi = lo;
+    for (let w = lo; w < 100; w *= 1.05) {
+        if (lowpassDb(qs, w) >= target) lo = w;
+        else if (w > lo) { hi = w; break; }
+    }
+    for (let i = 0; i < 40; i++) {
+        const mid = Math.sqrt(lo * hi);
+        if (lowpassDb(qs, mid) >= target) lo = mid;
+        else hi = mid;
+    }
+    return Math.sqrt(lo * hi);
+}
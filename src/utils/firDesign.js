@@ -0,0 +1,35 @@
+// Linear-phase FIR kernels for the brick-wall isolation mode.
+
+// Kernel sizes offered as "steepness": the transition band of a Blackman-windowed
+// sinc is about 5.5 * sampleRate / taps wide (e.g. ~32Hz for 8192 taps at 48kHz)
+export const LINEAR_PHASE_TAPS = [2048, 8192, 32768];
+export const DEFAULT_LINEAR_PHASE_TAPS = 8192;
+
+// Delay (seconds) added by a kernel of the given size: exactly taps / 2 samples
+export function kernelLatency(taps, sampleRate) {
+    return taps / 2 / sampleRate;
+}
+
+// Symmetric kernel (taps + 1 samples) passing the given ranges [{ lowHz, highHz, gain }].
+// Each range is an ideal band-pass (difference of two sincs); the sum is windowed once.
+export function designBandKernel(ranges, taps, sampleRate) {
+    const half = taps / 2;
+    const kernel = new Float32Array(taps + 1);
+
+    ranges.forEach(({ lowHz, highHz, gain }) => {
+        if (!gain || highHz <= lowHz) return;
+        const low = Math.max(0, lowHz) / sampleRate; // cycles per sample
+        const high = Math.min(sampleRate / 2, highHz) / sampleRate;
+        kernel[half] += gain * 2 * (high - low);
+        for (let m = 1; m <= half; m++) {
+            const value = gain * (Math.sin(2 * Math.PI * high * m) - Math.sin(2 * Math.PI * low * m)) / (Math.PI * m);
+            kernel[half + m] += value;
+            kernel[half - m] += value;
+        }
+    });
+
+    for (let n = 0; n <= taps; n++) {
+        kernel[n] *= 0.42 - 0.5 * Math.cos((2 * Math.PI * n) / taps) + 0.08 * Math.cos((4 * Math.PI * n) / taps);
+    }
+    return kernel;
+}
@@ -0,0 +1,6 @@
+// Formats seconds as m:ss
+export function formatTime(t) {
+    const mins = Math.floor(t / 60);
+    const secs = Math.floor(t % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,73 @@
+// Player actions that can be bound to a key, in display order (`repeat`: fires again while
+// the key is held). A binding is a combo string: modifiers in a fixed order, then the key ("Shift+ArrowUp").
+
+export const PRESET_SHORTCUT_COUNT = 9;
+
+export const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Play / Pause' },
+    { id: 'seekBack', label: 'Seek back 5s', repeat: true },
+    { id: 'seekForward', label: 'Seek forward 5s', repeat: true },
+    { id: 'lowCutDown', label: 'Low Cut down', repeat: true },
+    { id: 'lowCutUp', label: 'Low Cut up', repeat: true },
+    { id: 'highCutDown', label: 'High Cut down', repeat: true },
+    { id: 'highCutUp', label: 'High Cut up', repeat: true },
+    { id: 'toggleSweep', label: 'Sweep on / off' },
+    ...Array.from({ length: PRESET_SHORTCUT_COUNT }, (_, i) => ({ id: `preset${i + 1}`, label: `Preset ${i + 1}` }))
+];
+
+export const DEFAULT_SHORTCUTS = {
+    playPause: 'Space',
+    seekBack: 'ArrowLeft',
+    seekForward: 'ArrowRight',
+    lowCutDown: 'Shift+ArrowDown',
+    lowCutUp: 'Shift+ArrowUp',
+    highCutDown: 'ArrowDown',
+    highCutUp: 'ArrowUp',
+    toggleSweep: 'S',
+    ...Object.fromEntries(Array.from({ length: PRESET_SHORTCUT_COUNT }, (_, i) => [`preset${i + 1}`, String(i + 1)]))
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+// Combo for a keydown event, or null for a lone modifier. Letters are upper-cased so
+// Shift / Caps Lock don't change them; digits come from the physical key (Shift+1 is not "!").
+export function keyCombo(event) {
+    if (MODIFIER_KEYS.includes(event.key)) return null;
+    let key = event.key;
+    if (key === ' ') key = 'Space';
+    else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return [...modifiers, key].join('+');
+}
+
+const KEY_SYMBOLS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+// Display form of a combo ("Shift+↑")
+export function formatCombo(combo) {
+    if (!combo) return '—';
+    return combo.split('+').map(part => KEY_SYMBOLS[part] || part).join('+');
+}
+
+// Whether the focused element handles the key itself: fields take every key (range sliders
+// keep their arrows), buttons and links their Space / Enter activation
+export function targetOwnsKey(target, combo) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return true;
+    return ['BUTTON', 'A', 'SUMMARY'].includes(target.tagName) && (combo === 'Space' || combo === 'Enter');
+}
+
+// Binding map with `combo` assigned to `action`; any other action using it loses it
+export function assignShortcut(shortcuts, action, combo) {
+    const updated = { ...shortcuts };
+    Object.keys(updated).forEach(id => {
+        if (updated[id] === combo) updated[id] = null;
+    });
+    updated[action] = combo;
+    return updated;
+}
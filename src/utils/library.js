@@ -0,0 +1,74 @@
+// Search, sort and grouping for the library view (pure functions over track entries)
+
+export const SORT_FIELDS = [
+    { id: 'added', label: 'Date Added' },
+    { id: 'title', label: 'Title' },
+    { id: 'artist', label: 'Artist' },
+    { id: 'album', label: 'Album' },
+    { id: 'filename', label: 'Filename' },
+    { id: 'folder', label: 'Folder' },
+    { id: 'duration', label: 'Duration' }
+];
+
+export const GROUP_BY = [
+    { id: 'none', label: 'No Grouping' },
+    { id: 'artist', label: 'Artist' },
+    { id: 'album', label: 'Album' },
+    { id: 'folder', label: 'Folder' }
+];
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const SEARCH_FIELDS = ['title', 'artist', 'album', 'filename'];
+
+// Every whitespace-separated term has to appear in one of the text fields
+export function searchTracks(tracks, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return tracks;
+    return tracks.filter(track => {
+        const text = SEARCH_FIELDS.map(field => track[field] || '').join('\n').toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+}
+
+// Album order falls back to track number, so albums read top to bottom
+const compareBy = (field) => (a, b) => {
+    if (field === 'duration') return (a.duration || 0) - (b.duration || 0);
+    const primary = collator.compare(a[field] || '', b[field] || '');
+    if (primary !== 0 || field !== 'album') return primary;
+    return (a.trackNumber || 0) - (b.trackNumber || 0) || collator.compare(a.title || '', b.title || '');
+};
+
+// 'added' keeps import order; the sort is stable, so equal keys stay in import order too
+export function sortTracks(tracks, field, descending = false) {
+    const sorted = field === 'added' ? [...tracks] : [...tracks].sort(compareBy(field));
+    return descending ? sorted.reverse() : sorted;
+}
+
+const groupKey = (track, by) => {
+    if (by === 'artist') return track.artist || 'Unknown Artist';
+    if (by === 'album') return track.album || 'Unknown Album';
+    return track.folder || 'Unknown Folder';
+};
+
+// [{ key, tracks }] in order of first appearance within the (already sorted) tracks;
+// groups themselves are ordered by name
+export function groupTracks(tracks, by) {
+    if (by === 'none') return [{ key: null, tracks }];
+    const groups = new Map();
+    tracks.forEach(track => {
+        const key = groupKey(track, by);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(track);
+    });
+    return [...groups.entries()]
+        .map(([key, list]) => ({ key, tracks: list }))
+        .sort((a, b) => collator.compare(a.key, b.key));
+}
+
+// Per-track map ({ [trackId]: ... }) without the given tracks (without any when trackIds is null)
+export function withoutTracks(map, trackIds) {
+    if (!trackIds) return {};
+    const removed = new Set(trackIds);
+    return Object.fromEntries(Object.entries(map).filter(([id]) => !removed.has(id)));
+}
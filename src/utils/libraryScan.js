@@ -0,0 +1,37 @@
+// Folder import helpers: walking a picked directory and matching its files to library entries
+
+// Depth-first walk yielding { path, handle } for every file, `path` relative to dirHandle ("sub/dir/name.ext")
+export async function* walkDirectory(dirHandle, prefix = '') {
+    for await (const entry of dirHandle.values()) {
+        const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.kind === 'file') yield { path, handle: entry };
+        else if (entry.kind === 'directory') yield* walkDirectory(entry, path);
+    }
+}
+
+// Display folder of a file: root name plus its sub directories ("Music/Artist/Album")
+export const folderOf = (rootName, path) => [rootName, ...path.split('/').slice(0, -1)].join('/');
+
+// Whether a file on disk is the one a library entry was made from (same size and mtime)
+export const isUnchanged = (track, file) => track.size === file.size && track.lastModified === file.lastModified;
+
+// How one scan changed the library, e.g. "12 added, 0 updated, 3 skipped"
+export const scanSummary = ({ added, updated, missing = 0, skipped = [], ignored = 0, cancelled = false }) => {
+    const parts = [`${added} added`, `${updated} updated`];
+    if (missing) parts.push(`${missing} missing`);
+    if (skipped.length) parts.push(`${skipped.length} skipped`);
+    if (ignored) parts.push(`${ignored} non-audio ignored`);
+    return `${cancelled ? 'Cancelled after ' : ''}${parts.join(', ')}`;
+};
+
+// File behind a library entry. Read permission for a handle is only requested when
+// `canPrompt` (a prompt needs a user gesture; preloading happens in the background).
+export async function trackFile(track, canPrompt) {
+    if (track.file) return track.file;
+    if (!track.fileHandle) return null;
+    const opts = { mode: 'read' };
+    if ((await track.fileHandle.queryPermission(opts)) !== 'granted') {
+        if (!canPrompt || (await track.fileHandle.requestPermission(opts)) !== 'granted') return null;
+    }
+    return track.fileHandle.getFile();
+}
@@ -0,0 +1,39 @@
+// Level / loudness helpers for the meters and auto-gain.
+
+// Approximate ITU-R BS.1770 K-weighting (high shelf + RLB high-pass) as two biquads
+export function createKWeighting(ctx) {
+    const shelf = ctx.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681.97;
+    shelf.gain.value = 4;
+
+    const highPass = ctx.createBiquadFilter();
+    highPass.type = 'highpass';
+    highPass.frequency.value = 38.14;
+    highPass.Q.value = 0.5;
+
+    shelf.connect(highPass);
+    return { input: shelf, output: highPass };
+}
+
+export function meanSquare(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return sum / samples.length;
+}
+
+export function peakOf(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    return peak;
+}
+
+export function amplitudeToDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+// Loudness (LUFS) of a K-weighted mono-summed mean square. The analyser sums L/R to
+// (L + R) / 2, so +3dB restores the two-channel sum for centred material.
+export function meanSquareToLufs(ms) {
+    return ms > 0 ? -0.691 + 10 * Math.log10(ms) + 10 * Math.log10(2) : -Infinity;
+}
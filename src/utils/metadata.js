@@ -0,0 +1,46 @@
+// Tag reading for library import (ID3 / Vorbis comments / MP4 atoms via music-metadata-browser)
+
+const ARTWORK_SIZE = 160;
+
+// Loaded on demand so the parser (and its polyfills) stay out of the initial bundle
+let parserPromise = null;
+const loadParser = () => {
+    if (!parserPromise) parserPromise = import('music-metadata-browser');
+    return parserPromise;
+};
+
+// Downscale embedded cover art so the library entry stays small in IndexedDB
+async function makeThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, ARTWORK_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85)) || blob;
+    } catch {
+        // Undecodable image: keep the original bytes
+        return blob;
+    }
+}
+
+// Returns the track fields found in the file's tags (only the ones present)
+export async function readTags(file) {
+    const mm = await loadParser();
+    const { common, format } = await mm.parseBlob(file, { duration: true });
+
+    const tags = {};
+    if (common.title) tags.title = common.title;
+    if (common.artist || common.albumartist) tags.artist = common.artist || common.albumartist;
+    if (common.album) tags.album = common.album;
+    if (common.track && common.track.no) tags.trackNumber = common.track.no;
+    if (format.duration) tags.duration = format.duration;
+
+    const picture = mm.selectCover(common.picture);
+    if (picture) {
+        tags.artwork = await makeThumbnail(new Blob([picture.data], { type: picture.format }));
+    }
+    return tags;
+}
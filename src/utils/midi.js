@@ -0,0 +1,58 @@
+// MIDI control-change mapping ("MIDI learn") for the player.
+
+// Targets a CC can be bound to, in display order. Continuous targets follow the knob / fader
+// position; buttons fire when the value crosses BUTTON_THRESHOLD upwards (a press).
+export const MIDI_TARGETS = [
+    { id: 'lowCut', label: 'Low Cut', kind: 'continuous' },
+    { id: 'highCut', label: 'High Cut', kind: 'continuous' },
+    { id: 'bandCenter', label: 'Band Center', kind: 'continuous' },
+    { id: 'bandWidth', label: 'Band Width', kind: 'continuous' },
+    { id: 'toggleSweep', label: 'Sweep on / off', kind: 'button' },
+    { id: 'playPause', label: 'Play / Pause', kind: 'button' },
+    { id: 'next', label: 'Next Track', kind: 'button' },
+    { id: 'prev', label: 'Previous Track', kind: 'button' }
+];
+
+const BUTTON_THRESHOLD = 64;
+const CC_MAX = 127;
+
+// { channel (1-16), controller, value } for a control-change message, else null
+export function parseControlChange(data) {
+    if (!data || data.length < 3 || (data[0] & 0xf0) !== 0xb0) return null;
+    return { channel: (data[0] & 0x0f) + 1, controller: data[1], value: data[2] };
+}
+
+// Mapping key of a control: one CC number on one channel
+export const controlKey = ({ channel, controller }) => `${channel}:${controller}`;
+
+export function formatControl(key) {
+    const [channel, controller] = key.split(':');
+    return `CC ${controller} · ch ${channel}`;
+}
+
+// CC value (0-127) -> slider position (0-100). The sliders are linear positions on the
+// log frequency axis (toLog), so a knob sweeps octaves evenly, just like the mouse.
+export const ccToPosition = (value) => (value / CC_MAX) * 100;
+
+export const isPress = (value, previous = 0) => value >= BUTTON_THRESHOLD && previous < BUTTON_THRESHOLD;
+
+// Mappings ({ [controlKey]: targetId }) with `key` bound to `target`; a target has one control
+export function assignControl(mappings, key, target) {
+    const updated = {};
+    Object.entries(mappings).forEach(([k, t]) => {
+        if (t !== target) updated[k] = t;
+    });
+    updated[key] = target;
+    return updated;
+}
+
+const MIN_BAND_WIDTH = 1; // slider units, so the cutoffs never meet
+
+// Cutoff positions for a band center / width (slider units), kept inside 0-100.
+// The width is preserved when the center moves, and shrinks only at the edges.
+export function bandToCutoffs(center, width) {
+    const half = Math.max(width, MIN_BAND_WIDTH) / 2;
+    const mid = Math.min(Math.max(center, MIN_BAND_WIDTH / 2), 100 - MIN_BAND_WIDTH / 2);
+    const reach = Math.max(Math.min(half, mid, 100 - mid), MIN_BAND_WIDTH / 2);
+    return { low: mid - reach, high: mid + reach };
+}
@@ -0,0 +1,26 @@
+// Stereo stage model: every mode is a 2x2 matrix applied before the filters,
+// outL = ll * L + rl * R, outR = lr * L + rr * R
+
+export const STEREO_MODES = ['stereo', 'left', 'right', 'mono', 'mid', 'side'];
+
+// balance: -1 (mid only) .. 0 (unchanged) .. 1 (side only), used in 'stereo' mode.
+// With M = (L + R) / 2 and S = (L - R) / 2 the output is L' = m*M + s*S, R' = m*M - s*S.
+export function stereoMatrix(mode, balance = 0) {
+    switch (mode) {
+        case 'left':
+            return { ll: 1, rl: 0, lr: 1, rr: 0 };
+        case 'right':
+            return { ll: 0, rl: 1, lr: 0, rr: 1 };
+        case 'mono':
+        case 'mid': // Mid only is the mono sum, on both channels
+            return { ll: 0.5, rl: 0.5, lr: 0.5, rr: 0.5 };
+        case 'side': // Side only keeps its (anti-phase) width
+            return { ll: 0.5, rl: -0.5, lr: -0.5, rr: 0.5 };
+        case 'stereo':
+        default: {
+            const m = Math.min(1, 1 - balance);
+            const s = Math.min(1, 1 + balance);
+            return { ll: (m + s) / 2, rl: (m - s) / 2, lr: (m - s) / 2, rr: (m + s) / 2 };
+        }
+    }
+}
@@ -0,0 +1,70 @@
+// Hypnosis Sweep model. Positions are slider units (0-100, see toLog/toLinear);
+// phase is measured in cycles, so rate is in Hz.
+
+export const SWEEP_WAVEFORMS = ['sine', 'triangle', 'saw', 'random'];
+
+export const DEFAULT_SWEEP_CONFIG = {
+    waveform: 'sine',
+    rateMode: 'hz', // 'hz' | 'sync'
+    rateHz: 0.016, // matches the original 0.005 rad per 50ms tick
+    bpm: 120,
+    beatsPerCycle: 16,
+    minPos: 0,
+    maxPos: 100,
+    bandwidth: 100
+};
+
+// Deterministic per-cycle random value in [0, 1) so scheduling and readback agree
+const randomForCycle = (cycle) => {
+    const x = Math.sin(cycle * 12.9898 + 78.233) * 43758.5453;
+    return x - Math.floor(x);
+};
+
+// Waveform value in [0, 1] at the given phase
+export function sweepWaveform(waveform, phase) {
+    const frac = phase - Math.floor(phase);
+    switch (waveform) {
+        case 'triangle':
+            return frac < 0.5 ? frac * 2 : 2 - frac * 2;
+        case 'saw':
+            return frac;
+        case 'random':
+            return randomForCycle(Math.floor(phase));
+        case 'sine':
+        default:
+            return (Math.sin(2 * Math.PI * phase) + 1) / 2;
+    }
+}
+
+export function sweepRateHz(config) {
+    if (config.rateMode === 'sync') return config.bpm / 60 / config.beatsPerCycle;
+    return config.rateHz;
+}
+
+// Band edges (slider units) at the given phase, kept inside [minPos, maxPos]
+export function sweepRangeAt(config, phase) {
+    const span = Math.max(0, config.maxPos - config.minPos);
+    const bandwidth = Math.min(config.bandwidth, span);
+    const low = config.minPos + sweepWaveform(config.waveform, phase) * (span - bandwidth);
+    return { low, high: low + bandwidth };
+}
+
+// Phase at which the sweep's band is centered on `center`, so starting doesn't jump
+export function sweepStartPhase(config, center) {
+    const span = Math.max(0, config.maxPos - config.minPos);
+    const bandwidth = Math.min(config.bandwidth, span);
+    const travel = span - bandwidth;
+    if (travel <= 0) return 0;
+    const w = Math.min(Math.max((center - bandwidth / 2 - config.minPos) / travel, 0), 1);
+
+    switch (config.waveform) {
+        case 'sine':
+            return Math.asin(w * 2 - 1) / (2 * Math.PI);
+        case 'triangle':
+            return w / 2;
+        case 'saw':
+            return w;
+        default:
+            return 0;
+    }
+}
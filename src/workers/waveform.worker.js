@@ -0,0 +1,99 @@
+// Waveform overview worker. Holds a mono mixdown of the current track and answers
+// peak requests for the full signal or for the signal through a set of bands.
+//   { type: 'load', channels: Float32Array[], sampleRate }
+//   { type: 'peaks', id, buckets, ranges: null | [{ lowHz, highHz, gain }] } -> { id, peaks | null }
+
+let mono = null;
+let sampleRate = 44100;
+// Scratch buffers reused between band requests (same length as `mono`)
+let bandSum = null;
+let scratch = null;
+
+// RBJ cookbook high/low-pass coefficients, normalized by a0
+const biquadCoefficients = (type, frequency, q) => {
+    const w0 = (2 * Math.PI * Math.min(frequency, sampleRate * 0.49)) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+    const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+    return { b0: b0 / a0, b1: b1 / a0, b2: b0 / a0, a1: (-2 * cos) / a0, a2: (1 - alpha) / a0 };
+};
+
+// In-place transposed direct form II
+const runBiquad = (signal, { b0, b1, b2, a1, a2 }) => {
+    let z1 = 0;
+    let z2 = 0;
+    for (let i = 0; i < signal.length; i++) {
+        const x = signal[i];
+        const y = b0 * x + z1;
+        z1 = b1 * x - a1 * y + z2;
+        z2 = b2 * x - a2 * y;
+        signal[i] = y;
+    }
+};
+
+// Sum of the bands, each a 24dB/oct high-pass + low-pass pair (good enough for a picture)
+const bandSignal = (ranges) => {
+    if (!bandSum || bandSum.length !== mono.length) {
+        bandSum = new Float32Array(mono.length);
+        scratch = new Float32Array(mono.length);
+    }
+    bandSum.fill(0);
+    ranges.forEach(({ lowHz, highHz, gain }) => {
+        if (!gain || highHz <= lowHz) return;
+        scratch.set(mono);
+        if (lowHz > 20) {
+            const hp = biquadCoefficients('highpass', lowHz, Math.SQRT1_2);
+            runBiquad(scratch, hp);
+            runBiquad(scratch, hp);
+        }
+        if (highHz < sampleRate / 2) {
+            const lp = biquadCoefficients('lowpass', highHz, Math.SQRT1_2);
+            runBiquad(scratch, lp);
+            runBiquad(scratch, lp);
+        }
+        for (let i = 0; i < scratch.length; i++) bandSum[i] += gain * scratch[i];
+    });
+    return bandSum;
+};
+
+// Largest absolute sample per bucket
+const peaksOf = (signal, buckets) => {
+    const peaks = new Float32Array(buckets);
+    const perBucket = signal.length / buckets;
+    for (let b = 0; b < buckets; b++) {
+        const from = Math.floor(b * perBucket);
+        const to = Math.min(signal.length, Math.floor((b + 1) * perBucket));
+        let peak = 0;
+        for (let i = from; i < to; i++) {
+            const v = Math.abs(signal[i]);
+            if (v > peak) peak = v;
+        }
+        peaks[b] = peak;
+    }
+    return peaks;
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'load') {
+        const { channels } = data;
+        sampleRate = data.sampleRate;
+        mono = new Float32Array(channels[0].length);
+        channels.forEach(channel => {
+            for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / channels.length;
+        });
+        return;
+    }
+
+    if (data.type === 'peaks') {
+        // Nothing loaded (yet): still answer, so the caller isn't left waiting
+        if (!mono) {
+            self.postMessage({ id: data.id, peaks: null });
+            return;
+        }
+        const signal = data.ranges ? bandSignal(data.ranges) : mono;
+        const peaks = peaksOf(signal, data.buckets);
+        self.postMessage({ id: data.id, peaks }, [peaks.buffer]);
+    }
+};
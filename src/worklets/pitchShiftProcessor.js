@@ -0,0 +1,88 @@
+
+// Delay-line pitch shifter used for time-stretching: the source's playbackRate changes
+// speed (and pitch), this processor moves the pitch back (or anywhere else).
+// Two read taps sweep through a short window at a rate set by the pitch ratio and are
+// crossfaded with sin^2/cos^2 gains, which sum to 1, so each tap's wrap-around is silent.
+// At ratio 1 the input passes straight through; switching between that and the delayed
+// taps is crossfaded over one window, so moving onto or off 1.0 doesn't click.
+
+const WINDOW = 2048; // samples (~46ms at 44.1kHz)
+const BUFFER_SIZE = 8192; // power of two >= WINDOW + one render quantum
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.125, maxValue: 8, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0;
+        this.mix = 0; // 0 = straight through, 1 = shifted taps
+    }
+
+    read(buffer, writeIndex, delay) {
+        const pos = writeIndex - delay;
+        const i = Math.floor(pos);
+        const frac = pos - i;
+        const a = buffer[i & (BUFFER_SIZE - 1)];
+        const b = buffer[(i + 1) & (BUFFER_SIZE - 1)];
+        return a + (b - a) * frac;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        const frames = output[0] ? output[0].length : 128;
+
+        while (this.buffers.length < output.length) this.buffers.push(new Float32Array(BUFFER_SIZE));
+
+        const phaseStep = (1 - ratio) / WINDOW;
+        const mixTarget = ratio === 1 ? 0 : 1;
+        const mixStep = 1 / WINDOW;
+        let phase = this.phase;
+        let mix = this.mix;
+
+        for (let c = 0; c < output.length; c++) {
+            const inChannel = input[c] || input[0];
+            const outChannel = output[c];
+            const buffer = this.buffers[c];
+            let write = this.writeIndex;
+            phase = this.phase;
+            mix = this.mix;
+
+            for (let n = 0; n < frames; n++) {
+                const dry = inChannel ? inChannel[n] : 0;
+                buffer[write] = dry;
+
+                if (mix !== mixTarget) mix = mixTarget > mix ? Math.min(mix + mixStep, 1) : Math.max(mix - mixStep, 0);
+
+                if (mix === 0) {
+                    outChannel[n] = dry;
+                    phase = 0; // the taps start from a known state when they fade back in
+                } else {
+                    const p2 = (phase + 0.5) % 1;
+                    const g1 = Math.sin(Math.PI * phase) ** 2;
+                    // One extra sample of delay keeps the interpolation behind the write head
+                    const shifted = g1 * this.read(buffer, write, phase * WINDOW + 1)
+                        + (1 - g1) * this.read(buffer, write, p2 * WINDOW + 1);
+                    outChannel[n] = mix * shifted + (1 - mix) * dry;
+
+                    phase += phaseStep;
+                    if (phase >= 1) phase -= 1;
+                    else if (phase < 0) phase += 1;
+                }
+                write = (write + 1) & (BUFFER_SIZE - 1);
+            }
+        }
+
+        this.writeIndex = (this.writeIndex + frames) & (BUFFER_SIZE - 1);
+        this.phase = phase;
+        this.mix = mix;
+        return true;
+    }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);